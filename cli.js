@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const path = require("path");
+const { parseArgs } = require("util");
+const Server = require("./index.js");
+const config = require("./lib/config.js");
+
+const usage = `Usage: http-simple-server [directory] [options]
+       http-simple-server --config <file>
+
+Serves the files in a directory (default: the current one).
+
+Options:
+  -p, --port <port>             Port to listen on (default: 8080)
+  -H, --host <hostname>         Hostname to answer to, subdomains are under it (default: localhost)
+  -l, --log <format>            Log requests as "pretty", "common", "combined" or "json"
+  -s, --subdomain <name=target> Serve a directory, or proxy a URL, on a subdomain.
+                                EG: "docs=./docs" or "api=http://localhost:3000". Can be repeated
+      --spa                     Send /index.html to browsers asking for pages that don't exist
+      --listing                 List the contents of directories without an index file
+      --live                    Reload pages in the browser when files change
+      --tls-key <file>          Serve over HTTPS with this private key...
+      --tls-cert <file>         ...and this certificate
+      --self-signed             Serve over HTTPS with a generated certificate
+  -c, --config <file>           Create the servers in a JSON or JS config file instead
+  -h, --help                    Show this message
+  -v, --version                 Show the version`;
+
+let args;
+try {
+	args = parseArgs({
+		allowPositionals: true,
+		options: {
+			"port": { type: "string", short: "p" },
+			"host": { type: "string", short: "H" },
+			"log": { type: "string", short: "l" },
+			"subdomain": { type: "string", short: "s", multiple: true },
+			"spa": { type: "boolean" },
+			"listing": { type: "boolean" },
+			"live": { type: "boolean" },
+			"tls-key": { type: "string" },
+			"tls-cert": { type: "string" },
+			"self-signed": { type: "boolean" },
+			"config": { type: "string", short: "c" },
+			"help": { type: "boolean", short: "h" },
+			"version": { type: "boolean", short: "v" }
+		}
+	});
+} catch (error) {
+	fail(error.message);
+}
+
+if (args.values.help) {
+	console.log(usage);
+	process.exit(0);
+}
+if (args.values.version) {
+	console.log(require("./package.json").version);
+	process.exit(0);
+}
+
+let servers;
+try {
+	servers = args.values.config ? fromConfigFile(args) : config.createServers(fromArgs(args));
+} catch (error) {
+	fail(error.message);
+}
+
+let closing = false;
+const onSignal = (signal) => {
+	if (closing) {
+		console.error(`🌐 Received ${signal} again, exiting without waiting`);
+		process.exit(1);
+	}
+	closing = true;
+	console.log(`🌐 Received ${signal}, closing`);
+	Promise.all(servers.map(server => server.close())).then(() => process.exit(0), (error) => {
+		console.error(error);
+		process.exit(1);
+	});
+};
+process.on("SIGINT", onSignal);
+process.on("SIGTERM", onSignal);
+
+Promise.all(servers.map(server => server.open())).catch((error) => {
+	closing = true;
+	console.error("⚠️  "+error.message);
+	Promise.allSettled(servers.map(server => server.close())).then(() => process.exit(1));
+});
+
+/**
+ * @param {ReturnType<typeof parseArgs>} args
+ * @returns {import("./index.js")[]}
+ */
+function fromConfigFile(args) {
+	let others = Object.keys(args.values).filter(name => name != "config");
+	if (others.length || args.positionals.length) {
+		throw new Error(`--config can't be combined with ${others.length ? "--"+others[0] : "a directory"}, set it in the config file instead`);
+	}
+
+	let file = path.resolve(args.values.config);
+	return config.createServers(config.load(file), path.dirname(file));
+}
+
+/**
+ * @param {ReturnType<typeof parseArgs>} args
+ * @returns {import("./lib/config.js").ServerConfig}
+ */
+function fromArgs(args) {
+	let { values, positionals } = args;
+	if (positionals.length > 1) throw new Error(`Can only serve one directory, got: ${positionals.join(", ")}`);
+
+	let port = Number(values["port"] ?? 8080);
+	if (Number.isInteger(port) == false || port < 0 || port > 65535) throw new Error(`Invalid port "${values["port"]}"`);
+
+	let root = positionals[0] ?? ".";
+	if (fs.statSync(root, {throwIfNoEntry: false})?.isDirectory() != true) throw new Error(`"${root}" isn't a directory`);
+
+	/** @type {import("./lib/config.js").ServerConfig} */
+	let server = {
+		port,
+		root,
+		fallback: values["spa"] ?? false,
+		listing: values["listing"] ?? false,
+		flags: values["live"] ? ["LIVERELOAD"] : []
+	};
+
+	if (values["host"]) server.domain = values["host"];
+	if (values["log"]) server.logging = { format: values["log"] };
+
+	if (values["self-signed"]) {
+		server.tls = Server.createSelfSignedCertificate(values["host"] ? { hostnames: [values["host"], "*."+values["host"]] } : {});
+	} else if (values["tls-key"] || values["tls-cert"]) {
+		if (!values["tls-key"] || !values["tls-cert"]) throw new Error("HTTPS needs both --tls-key and --tls-cert");
+		server.tls = { key: values["tls-key"], cert: values["tls-cert"] };
+	}
+
+	for (let mapping of values["subdomain"] ?? []) {
+		let separator = mapping.indexOf("=");
+		if (separator < 1 || separator == mapping.length-1) throw new Error(`Invalid subdomain "${mapping}", use name=directory or name=URL`);
+
+		let target = mapping.slice(separator+1);
+		server.subdomains ??= {};
+		server.subdomains[mapping.slice(0, separator)] = values["live"] && /^https?:\/\//.test(target) == false ? { root: target, flags: ["LIVERELOAD"] } : target;
+	}
+
+	return server;
+}
+
+/**
+ * @param {string} message
+ * @returns {never}
+ */
+function fail(message) {
+	console.error("⚠️  "+message);
+	console.error("Run http-simple-server --help for usage");
+	process.exit(1);
+}
@@ -1,18 +1,68 @@
 const http = require("http");
+const https = require("https");
+const http2 = require("http2");
+const tls = require("tls");
 const path = require("path");
 const fs = require("fs");
 const os = require("os");
+const stream = require("stream");
+const routes = require("./lib/routes.js");
+const files = require("./lib/files.js");
+const compression = require("./lib/compression.js");
+const listing = require("./lib/listing.js");
+const certificates = require("./lib/tls.js");
+const ip = require("./lib/ip.js");
+const template = require("./lib/template.js");
+const Logger = require("./lib/logger.js");
+const sessions = require("./lib/sessions.js");
+const cors = require("./lib/cors.js");
+const { RateLimiter } = require("./lib/ratelimit.js");
+const proxy = require("./lib/proxy.js");
+const hosts = require("./lib/hosts.js");
+
+/** @type {WeakMap<ServerRequest, Server>} The server (or subdomain) that handled each request, for access logs */
+const handlingServers = new WeakMap();
+
+/** @type {WeakMap<import("./lib/logger.js").AccessLogEntry, Server>} The server (or subdomain) each access log entry is for, for its templates */
+const logEntryServers = new WeakMap();
+
+/** @type {{ key:?string, ranges:import("./lib/ip.js").IPRange[] }} `Server.trustedProxies`, parsed again only when it changes */
+let trustedProxyRanges = { key: null, ranges: [] };
 
 /**
  * @typedef {object} ServerInitOptions
  * @prop {number} port Port number
  * @prop {?(symbol|symbol[])} flags See `Server.flags`
  * @prop {ServerCustomData} customData
+ * @prop {boolean|import("./lib/compression.js").CompressionOptions} [compression] Compress text-like responses with brotli, gzip or deflate (off by default)
+ * @prop {import("./lib/tls.js").TLSOptions} [tls] Serve over HTTPS. On subdomains, the certificate is used for requests to that subdomain (SNI)
+ * @prop {{ allow?:string[], deny?:string[] }} [access] IP addresses or CIDR ranges that can, or can't, make requests (See `Server.access`)
+ * @prop {import("./lib/logger.js").LoggingOptions} [logging] Log every request, to the terminal, a file, or a function (See `Server.logger`)
+ * @prop {boolean} [http2] Serve over HTTP/2, falling back to HTTP/1.1 for older clients and websockets. Requires `tls`
+ * @prop {boolean|import("./lib/sessions.js").SessionOptions} [sessions] Load `request.session` from a signed cookie, for endpoints and websockets (off by default). Needs a secret, without one an error is logged and sessions stay off
+ * @prop {boolean|import("./lib/cors.js").CorsOptions} [cors] Allow requests from other origins, for this server and its subdomains (See `Server.endpoint` to change it per endpoint)
+ * @prop {RateLimiter|import("./lib/ratelimit.js").RateLimitOptions} [rateLimit] Respond with `429` to clients making too many requests to this server and its subdomains
+ * @prop {string|import("./lib/proxy.js").ProxyOptions} [proxy] Forward every request (and websocket) for a subdomain to another service, like `"http://localhost:3000"` (See `Server.proxy`)
+ * @prop {number} [shutdownTimeout] Milliseconds `close()` waits for requests to finish before closing their connections (default `10000`)
+ * @prop {boolean} [handleSignals] Close the server when the process gets `SIGINT` or `SIGTERM`, then exit (off by default)
+ */
+
+/**
+ * @typedef {object} SubdomainOptions
+ * @prop {string} [domain] Name under the server it's created on, like `"api"` for `api.localhost`. Can have several levels (`"v1.api"`), and `"*"` for any label (`"*.app"`)
+ * @prop {string} [hostname] A whole hostname instead, like `"example.test"` or `"*.example.test"`
+ * @prop {boolean} [default] Serve requests for hostnames that no server answers to (See `Server.subdomain`)
  */
 
 /**
  * @typedef {object} CustomData
- * @prop {"/"|string} rootDirectory See `Server.flags.FILESYSTEM`
+ * @prop {string} rootDirectory Relative to the current working directory, which a leading `"/"` also means (`"/"` and `"."` serve the working directory, `"/dist"` and `"./dist"` its `dist` directory). See `Server.flags.FILESYSTEM`
+ * @prop {"allow"|"deny"|"ignore"} [dotfiles] How to handle files and directories starting with `"."`, `"deny"` (default) responds with `403`, `"ignore"` with `404` (except `/.well-known/`)
+ * @prop {"follow"|"refuse"} [symlinks] `"follow"` (default) serves symlinks that point inside of `rootDirectory`, `"refuse"` responds with `403` to any symlink
+ * @prop {boolean|import("./lib/listing.js").DirectoryListingOptions} [directoryListing] List the contents of directories without an index file, as HTML or JSON (off by default)
+ * @prop {Object<string, string>} [cacheControl] `Cache-Control` headers for files, by extension (`".css"`), URL path prefix (`"/assets/"`), or `"*"` for everything else
+ * @prop {string} [fallback] File sent instead of `404` to browsers asking for a page that doesn't exist, like `"/index.html"` for single-page apps
+ * @prop {import("./lib/livereload.js").LiveReloadOptions} [liveReload] See `Server.flags.LIVERELOAD`
  * @prop {http.Server} subdomainServerReference **⚠️ Internal use only ⚠️**
  */
 
@@ -20,16 +70,42 @@ const os = require("os");
  * @typedef {(request?:ServerRequest,result?:ServerResult)=>void|Promise<void>} ServerCallbackFunction
  */
 
+/**
+ * @typedef {(request:ServerRequest,result:ServerResult,next:(error?:any)=>void)=>void|Promise<void>} ServerMiddlewareFunction
+ */
+
+/**
+ * @typedef {(error:any,request:ServerRequest,result:ServerResult,next:(error?:any)=>void)=>void|Promise<void>} ServerErrorMiddlewareFunction
+ */
+
 /**
  * @typedef {"GET"|"HEAD"|"OPTIONS"|"TRACE"|"PUT"|"DELETE"|"POST"|"PATCH"|"CONNECT"} HTTPMethod
  */
 
 /**
- * @typedef {http.IncomingMessage} ServerRequest
+ * @typedef {object} EndpointOptions
+ * @prop {boolean|import("./lib/cors.js").CorsOptions} [cors] Overrides `ServerInitOptions.cors`, `false` turns CORS off for this endpoint
+ * @prop {RateLimiter|import("./lib/ratelimit.js").RateLimitOptions} [rateLimit] Counted after `ServerInitOptions.rateLimit`
  */
 
 /**
- * @typedef {http.ServerResponse<http.IncomingMessage> & { req: http.IncomingMessage; }} ServerResult
+ * @typedef {{ callback:ServerCallbackFunction, methods?:HTTPMethod[], cors?:?import("./lib/cors.js").CorsOptions|false, rateLimit?:?ServerMiddlewareFunction }} EndpointHandler
+ */
+
+/**
+ * @typedef {(http.IncomingMessage|http2.Http2ServerRequest) & { params?: Object<string, string>, wildcards?: string[], error?: any, session?: import("./lib/sessions.js").Session }} ServerRequest
+ * `params` holds the values matched by the endpoint's path (See `Server.endpoint`)
+ * 
+ * `wildcards` holds the labels of the hostname matched by `"*"` in subdomain names, from left to right (See `Server.subdomain`)
+ * 
+ * `error` holds the error that caused a status handler to run (See `Server.use`)
+ * 
+ * `session` is only set when the server uses sessions (See `ServerInitOptions.sessions`)
+ */
+
+/**
+ * @typedef {(http.ServerResponse<http.IncomingMessage> & { req: http.IncomingMessage; })|http2.Http2ServerResponse} ServerResult
+ * HTTP/2 requests use Node's compatibility API (See `ServerInitOptions.http2`)
  */
 
 class Server {
@@ -37,18 +113,35 @@ class Server {
 
 	domain = "localhost";
 
-	/** @type {Object<string, { callback:ServerCallbackFunction, methods?:HTTPMethod[] }>} */
+	/** @type {Object<string, import("./lib/routes.js").Route & { handlers: EndpointHandler[] }>} */
 	#endpoints = {};
 	/** Returns a list of endpoint paths that have been created */
 	getEndpoints() { return Object.keys(this.#endpoints); }
 
+	/** @type {(import("./lib/routes.js").Route & { handlers: EndpointHandler[] })[]} Endpoints, sorted from most to least specific */
+	#routes = [];
+
+	/** @type {{ route:?import("./lib/routes.js").Route, callback:ServerMiddlewareFunction|ServerErrorMiddlewareFunction }[]} */
+	#middleware = [];
+
 	/** @type {Object<string, Server>} */
 	#subdomains = {};
 	getSubdomains() { return Object.keys(this.#subdomains); }
 	removeAllSubdomains() {
 		this.#subdomains = {};
+
+		let root = this.#rootServer;
+		for (let server = root.#defaultHost; server; server = server.parentServer) {
+			if (server.parentServer == this) root.#defaultHost = null;
+		}
 	}
 
+	/** @type {string[]} Labels of the hostname this server answers to, `"*"` matching any label (See `Server.subdomain`) */
+	#hostLabels = [];
+
+	/** @type {?Server} Serves requests for hostnames that no server answers to, only on the main server (See `SubdomainOptions.default`) */
+	#defaultHost = null;
+
 	/** @type {Object<number, ServerCallbackFunction>} */
 	#statusHandelers = {};
 
@@ -58,17 +151,79 @@ class Server {
 	/** @type {ServerCustomData} */
 	customData = {};
 
-	/** @type {?http.Server} */
+	/** @type {?Required<import("./lib/compression.js").CompressionOptions>} See `ServerInitOptions.compression` */
+	compression = null;
+
+	/** @type {?import("./lib/sessions.js").Sessions} See `ServerInitOptions.sessions` */
+	sessions = null;
+
+	/** @type {?import("./lib/cors.js").CorsOptions|false} See `ServerInitOptions.cors` */
+	cors = null;
+
+	/** @type {?RateLimiter} See `ServerInitOptions.rateLimit` */
+	rateLimiter = null;
+
+	/** @type {?import("./lib/proxy.js").ResolvedProxyOptions} See `ServerInitOptions.proxy` */
+	#proxy = null;
+
+	/** @type {{ route:import("./lib/routes.js").Route, prefix:string, options:import("./lib/proxy.js").ResolvedProxyOptions }[]} See `Server.proxy` */
+	#proxies = [];
+
+	/** @type {?import("./lib/livereload.js")} See `Server.flags.LIVERELOAD` */
+	#liveReload = null;
+
+	/** @type {?http.Server|https.Server|http2.Http2SecureServer} */
 	_httpServer;
 
+	/** @type {?http.Server} Plain HTTP server redirecting to HTTPS (See `TLSOptions.redirectPort`) */
+	_redirectServer;
+
+	/** @type {?number} */
+	#redirectPort = null;
+
+	/** @type {?tls.SecureContext} Certificate for this subdomain */
+	#secureContext = null;
+
+	/** @type {Set<stream.Duplex>} Open connections, closed when `close()` times out */
+	#connections = new Set();
+
+	/** @type {Set<http2.ServerHttp2Session>} Open HTTP/2 sessions */
+	#http2Sessions = new Set();
+
+	/** @type {Map<ServerRequest, ServerResult>} Requests that haven't been answered yet */
+	#activeRequests = new Map();
+
+	/** @type {?Promise<null>} Set while the server is opening (See `Server.open`) */
+	#opening = null;
+
+	/** @type {?Promise<null>} Set while the server is closing (See `Server.close`) */
+	#closing = null;
+
+	/** @type {number} See `ServerInitOptions.shutdownTimeout` */
+	#shutdownTimeout = 10000;
+
+	/** @type {boolean} See `ServerInitOptions.handleSignals` */
+	#handleSignals = false;
+
+	/** @type {?(signal:NodeJS.Signals)=>void} */
+	#signalListener = null;
+
+	/** @type {Set<{ close:(code?:number, reason?:string)=>void }>} Websockets and event streams on this server, closed when the main server closes */
+	_streams = new Set();
+
+	/** @returns {"http"|"https"} */
+	get protocol() {
+		return this._httpServer instanceof tls.Server ? "https" : "http";
+	}
+
+	/** @type {?Logger} Access log for this server and its subdomains, only on the main server (See `ServerInitOptions.logging`) */
+	logger = null;
+
 	/** @type {?Server} Filled in if server is a subdomain (See `Server.flags._SUBDOMAIN`) */
 	parentServer;
 
 	get fullDomain() {
-		if (this.flags[Server.flags._SUBDOMAIN]) {
-			return this.domain+"."+this.parentServer.fullDomain;
-		}
-		return this.domain + ":" + this.port;
+		return this.#hostLabels.join(".") + ":" + this.#rootServer.port;
 	}
 
 	/**
@@ -91,101 +246,557 @@ class Server {
 		}
 		this.flags = Object.freeze(this.flags);
 
+		if (options.access?.allow) this.access.allow(...options.access.allow);
+		if (options.access?.deny) this.access.deny(...options.access.deny);
+
+		this.compression = compression.resolveOptions(options.compression);
+		if (this.compression) this.use(compression.middleware(this.compression));
+
+		this.cors = cors.resolveOptions(options.cors);
+
+		if (options.rateLimit) try {
+			this.rateLimiter = RateLimiter.from(options.rateLimit);
+			this.use(this.rateLimiter.middleware());
+		} catch (error) {
+			console.error("⚠️  "+error.message);
+		}
+
+		if (options.sessions) try {
+			this.sessions = new sessions.Sessions(options.sessions === true ? {} : options.sessions);
+			this.use(this.sessions.middleware());
+		} catch (error) {
+			console.error("⚠️  "+error.message);
+		}
+
 		if (!this.flags[Server.flags._SUBDOMAIN]) { // Is a default server
 
-			this._httpServer = http.createServer((request, result) => {
+			if (options.logging) try {
+				this.logger = new Logger(options.logging, entry => this.#formatLogEntry(entry));
+			} catch (error) {
+				console.error("⚠️  "+error.message);
+			}
+
+			this.#shutdownTimeout = options.shutdownTimeout ?? 10000;
+			this.#handleSignals = options.handleSignals ?? false;
+
+			const requestListener = (request, result) => {
+				this.#activeRequests.set(request, result);
+				result.once("close", () => this.#activeRequests.delete(request));
+
+				if (this.#closing) this.#drainConnection(request, result);
+				if (this.logger) this.#trackRequest(request, result);
 				this.#processRequest(request, result);
+			};
+
+			if (options.http2 && !options.tls) {
+				console.error(`⚠️  HTTP/2 needs "tls", using HTTP/1.1 for http://${this.domain}:${this.port}`);
+			}
+
+			if (options.tls) {
+				let secureOptions = {
+					...certificates.load(options.tls),
+					SNICallback: (servername, callback) => {
+						callback(null, this.#findSecureContext(servername));
+					}
+				};
+
+				if (options.http2) {
+					this._httpServer = http2.createSecureServer({ ...secureOptions, allowHTTP1: true }, requestListener);
+				} else {
+					this._httpServer = https.createServer(secureOptions, requestListener);
+				}
+
+				this.#redirectPort = options.tls.redirectPort ?? null;
+				if (this.#redirectPort) this._redirectServer = http.createServer((request, result) => {
+					let host = (request.headers.host ?? Server.fixedIpAddress).replace(/:\d+$/, "");
+					let port = this.port == 443 ? "" : ":"+this.port;
+					result.writeHead(308, { "Location": "https://"+host+port+request.url });
+					result.end();
+				});
+
+			} else {
+				this._httpServer = http.createServer(requestListener);
+			}
+
+			this._httpServer.on("connection", (socket) => {
+				this.#connections.add(socket);
+				socket.once("close", () => this.#connections.delete(socket));
+			});
+			this._httpServer.on("session", (session) => {
+				this.#http2Sessions.add(session);
+				session.once("close", () => this.#http2Sessions.delete(session));
 			});
 
 		} else { // Is a custom server (subdomain or fileserver)
 			this.parentServer = options.customData["subdomainServerReference"];
 			this._httpServer = this.parentServer._httpServer;
-			delete this.open;
-			delete this.close;
+
+			if (options.tls && this.protocol != "https") {
+				console.error(`⚠️  Cannot use a certificate for ${this.domain}, the main server must also be created with "tls".`);
+			} else if (options.tls) {
+				this.#secureContext = tls.createSecureContext(certificates.load(options.tls));
+			}
+		}
+
+		try {
+			if (options.hostname) this.#hostLabels = hosts.parse(options.hostname);
+			else this.#hostLabels = [...hosts.parse(this.domain), ...(this.parentServer?.#hostLabels ?? [])];
+		} catch (error) {
+			console.error("⚠️  "+error.message);
+			this.#hostLabels = [this.domain.toLowerCase()];
+		}
+
+		if (options.proxy) try {
+			this.#proxy = proxy.resolveOptions(options.proxy);
+			require("./lib/websocket.js").listenForUpgrades(this);
+		} catch (error) {
+			console.error("⚠️  "+error.message);
+		}
+
+		if (this.flags[Server.flags.LIVERELOAD] && !this.flags[Server.flags.FILESYSTEM]) {
+			console.error(`⚠️  Live reload only works on file servers, not http://${this.fullDomain}`);
+		} else if (this.flags[Server.flags.LIVERELOAD]) {
+			this.#liveReload = new (require("./lib/livereload.js"))(this, this.customData["liveReload"]);
 		}
 
 	}
 
 	/**
-	 * Opens the server over HTTP
-	 * @returns {Promise<null>}
+	 * Opens the server over HTTP, after running the `beforeOpen` hooks (See `Server.hooks`)
+	 * @returns {Promise<null>} Resolves once the server is listening, rejects if it can't listen (EG: `EADDRINUSE`) or a `beforeOpen` hook throws
 	 */
 	open() {
-		return new Promise((resolve) => {
-			if (!this._httpServer) {
-				resolve(null);
-				return;
-			}
-			this._httpServer.listen(this.port, "0.0.0.0", () => {
-				console.log(`🌐 Opened server at: ${Server.logStyles.underline}http://${Server.fixedIpAddress}:${this.port}${Server.logStyles.reset}`);
-				resolve(null);
-			});
-			resolve(null);
-		})
+		if (!this._httpServer || this.flags[Server.flags._SUBDOMAIN]) return Promise.resolve(null);
+		if (this.#opening) return this.#opening;
+
+		this.#opening = this.#startup().finally(() => {
+			this.#opening = null;
+		});
+		return this.#opening;
 	}
 
 	/**
-	 * Closes the server
 	 * @returns {Promise<null>}
 	 */
-	close() {
-		return new Promise((resolve) => {
-			if (!this._httpServer) {
-				resolve(null);
-				return;
+	async #startup() {
+		if (this.#closing) await this.#closing;
+		if (this._httpServer.listening) return null;
+
+		await this.#runHooks("beforeOpen", true);
+
+		await listen(this._httpServer, this.port);
+		console.log(`🌐 Opened server at: ${Server.logStyles.underline}${this.protocol}://${Server.fixedIpAddress}:${this.port}${Server.logStyles.reset}`);
+
+		if (this._redirectServer) {
+			try {
+				await listen(this._redirectServer, this.#redirectPort);
+			} catch (error) {
+				await new Promise(resolve => this._httpServer.close(resolve));
+				throw error;
 			}
-			this._httpServer.close(() => {
-				console.log(`🌐 Closed server at: ${Server.logStyles.underline}http://${Server.fixedIpAddress}:${this.port}${Server.logStyles.reset}`);
-			});
-			resolve(null);
+			console.log(`🌐 Redirecting ${Server.logStyles.underline}http://${Server.fixedIpAddress}:${this.#redirectPort}${Server.logStyles.reset} to HTTPS`);
+		}
+
+		if (this.#handleSignals && !this.#signalListener) {
+			this.#signalListener = (signal) => {
+				if (this.#closing) {
+					console.error(`🌐 Received ${signal} again, exiting without waiting`);
+					process.exit(1);
+				}
+				console.log(`🌐 Received ${signal}, closing`);
+				this.close().then(() => process.exit(0), (error) => {
+					console.error(error);
+					process.exit(1);
+				});
+			};
+			process.on("SIGINT", this.#signalListener);
+			process.on("SIGTERM", this.#signalListener);
+		}
+
+		await this.#runHooks("afterOpen", false);
+		return null;
+	}
+
+	/**
+	 * Closes the server:
+	 * 1. Runs the `beforeClose` hooks (See `Server.hooks`)
+	 * 2. Stops accepting connections, and closes idle keep-alive connections
+	 * 3. Closes websockets (code `1001`) and event streams
+	 * 4. Waits for requests to finish, closing each connection once it's answered
+	 * 5. Closes whatever is left after `timeout` milliseconds
+	 * 6. Runs the `afterClose` hooks
+	 * 7. Finishes writing access log files (See `ServerInitOptions.logging`)
+	 * @param {{ timeout?:number }} [options] `timeout` defaults to `ServerInitOptions.shutdownTimeout`
+	 * @returns {Promise<null>} Resolves once every connection is closed
+	 */
+	close(options) {
+		if (!this._httpServer || this.flags[Server.flags._SUBDOMAIN]) return Promise.resolve(null);
+		if (this.#closing) return this.#closing;
+		if (this.#opening) return this.#opening.then(() => this.close(options));
+		if (this._httpServer.listening == false) return Promise.resolve(null);
+
+		this.#closing = this.#shutdown(options?.timeout ?? this.#shutdownTimeout).finally(() => {
+			this.#closing = null;
 		});
+		return this.#closing;
+	}
+
+	/**
+	 * @param {number} timeout
+	 * @returns {Promise<null>}
+	 */
+	async #shutdown(timeout) {
+		await this.#runHooks("beforeClose", false);
+
+		let closed = new Promise((resolve) => this._httpServer.close(() => resolve()));
+		if (this._redirectServer?.listening) this._redirectServer.close();
+
+		this._httpServer.closeIdleConnections?.();
+		for (let session of this.#http2Sessions) session.close();
+		for (let [request, result] of this.#activeRequests) this.#drainConnection(request, result);
+
+		for (let server of this.#allServers()) {
+			for (let stream of server._streams) stream.close(1001, "Server shutting down"); // 1001: Going away
+		}
+
+		let timer = setTimeout(() => {
+			this._httpServer.closeAllConnections?.();
+			for (let session of this.#http2Sessions) session.destroy();
+			for (let socket of this.#connections) socket.destroy();
+		}, timeout);
+		timer.unref();
+
+		await closed;
+		clearTimeout(timer);
+
+		if (this.#signalListener) {
+			process.off("SIGINT", this.#signalListener);
+			process.off("SIGTERM", this.#signalListener);
+			this.#signalListener = null;
+		}
+
+		console.log(`🌐 Closed server at: ${Server.logStyles.underline}${this.protocol}://${Server.fixedIpAddress}:${this.port}${Server.logStyles.reset}`);
+
+		await this.#runHooks("afterClose", false);
+		await this.logger?.close();
+		return null;
+	}
+
+	/**
+	 * Close a request's connection once it has been answered, while the server is closing
+	 * @param {ServerRequest} request
+	 * @param {ServerResult} result
+	 */
+	#drainConnection(request, result) {
+		if (request.httpVersionMajor >= 2) return; // HTTP/2 sessions are closed with GOAWAY instead
+
+		if (result.headersSent == false) result.setHeader("Connection", "close");
+		result.once("finish", () => setImmediate(() => this._httpServer.closeIdleConnections?.()));
+	}
+
+	/**
+	 * Run the hooks of this server and its subdomains, in the order they were added
+	 * @param {"beforeOpen"|"afterOpen"|"beforeClose"|"afterClose"} name
+	 * @param {boolean} throws Reject if a hook throws, instead of logging the error and running the rest
+	 */
+	async #runHooks(name, throws) {
+		for (let server of this.#allServers()) {
+			for (let callback of [...server.hooks.callbacks[name]]) {
+				try {
+					await callback(this);
+				} catch (error) {
+					if (throws) throw error;
+					console.error(error);
+				}
+			}
+		}
+	}
+
+	/** @returns {Server[]} This server, then its subdomains and theirs */
+	#allServers() {
+		let servers = [this];
+		for (let subdomain of Object.values(this.#subdomains)) servers.push(...subdomain.#allServers());
+		return servers;
 	}
 
 	/**
-	 * @param {string|"/"|"*"} path
+	 * @param {string|"/"|"*"|RegExp} path
 	 * See [Uniform Resource Identifier (URI): Generic Syntax - Section 2.2](https://datatracker.ietf.org/doc/html/rfc3986#section-2.2) for all reserved characters
 	 * 
 	 * See [Uniform Resource Identifier (URI): Generic Syntax - Section 2.3](https://datatracker.ietf.org/doc/html/rfc3986#section-2.3) for all un-reserved characters
+	 * 
+	 * Paths can contain parameters (`"/users/:id"`), optional parameters (`"/posts/:page?"`) and a trailing wildcard (`"/assets/*rest"`),
+	 * or be a `RegExp`. Matched values are put in `request.params`.
+	 * 
+	 * When several endpoints match, static segments win over parameters, parameters over optional parameters, and those over wildcards (`"/users/me"` before `"/users/:id"`).
+	 * RegExp paths are tried after all paths without a wildcard, and `"*"` is only used when nothing else matches.
 	 * @param {ServerCallbackFunction} callback
 	 * 
 	 * @param {HTTPMethod|HTTPMethod[]} methods
 	 * See [HTTP Request methods](https://developer.mozilla.org/en-US/docs/Web/HTTP/Reference/Methods) for all methods
+	 * 
+	 * The same path can be used more than once, as long as the methods don't overlap.
+	 * Requests with any other method get `405 Method Not Allowed`, and `OPTIONS` requests (including CORS preflights) are answered automatically.
+	 * @param {EndpointOptions} [options]
 	 */
-	endpoint(path, callback, methods) {
+	endpoint(path, callback, methods, options) {
 		if (!path) {
 			console.error("⚠️  Cannot add an endpoint without a path.");
 			return;
 		}
-		if (path in this.#endpoints) {
-			console.error("⚠️  Cannot overwrite http://"+this.domain+":"+this.port+path);
-			return;
-		}
 		if (typeof methods == "string") methods = [methods];
 		if (Array.isArray(methods) == false) methods = null;
 		else for (let i = 0; i < methods.length; i ++) {
 			methods[i] = methods[i].toUpperCase();
 		}
 
-		this.#endpoints[path] = { callback, methods };
+		let key = path.toString();
+
+		let handler;
+		try {
+			handler = {
+				callback,
+				methods,
+				cors: cors.resolveOptions(options?.cors),
+				rateLimit: options?.rateLimit ? RateLimiter.from(options.rateLimit).middleware() : null
+			};
+		} catch (error) {
+			console.error("⚠️  "+error.message);
+			return;
+		}
+
+		if (key in this.#endpoints) {
+			let overlaps = this.#endpoints[key].handlers.some((handler) => {
+				if (handler.methods == null || methods == null) return handler.methods == methods;
+				return handler.methods.some(method => methods.includes(method));
+			});
+			if (overlaps) {
+				console.error("⚠️  Cannot overwrite http://"+this.domain+":"+this.port+key+(methods ? " ("+methods.join(", ")+")" : ""));
+				return;
+			}
+			this.#endpoints[key].handlers.push(handler);
+			return;
+		}
+
+		let route;
+		try {
+			route = routes.compile(path);
+		} catch (error) {
+			console.error("⚠️  "+error.message);
+			return;
+		}
+
+		this.#endpoints[key] = { ...route, handlers: [handler] };
+		this.#routes.push(this.#endpoints[key]);
+		this.#routes.sort(routes.compare);
+	}
+
+	/**
+	 * Add middleware, which is run in order before endpoints, files and subdomains.
+	 * 
+	 * Middleware must either respond to the request or call `next()`.
+	 * Calling `next(error)`, throwing, or rejecting skips to the next error-handling middleware,
+	 * which is any function taking four arguments: `(error, request, result, next)`.
+	 * 
+	 * Errors that are not handled are sent to the status handler for `error.status` (or `500`, See `Server.status`),
+	 * with the error available as `request.error`.
+	 * @param {string|RegExp|ServerMiddlewareFunction|ServerErrorMiddlewareFunction} path
+	 * Only run for requests to this path, or anything below it (`"/api"` also matches `"/api/users"`)
+	 * @param {ServerMiddlewareFunction|ServerErrorMiddlewareFunction} [callback]
+	 */
+	use(path, callback) {
+		if (typeof path == "function") {
+			callback = path;
+			path = null;
+		}
+		if (typeof callback != "function") {
+			console.error("⚠️  Cannot add middleware without a callback.");
+			return;
+		}
+
+		let route = null;
+		if (path) try {
+			route = routes.compile(path instanceof RegExp ? path : path.replace(/\/+$/, "")+"/*");
+		} catch (error) {
+			console.error("⚠️  "+error.message);
+			return;
+		}
+
+		this.#middleware.push({ route, callback });
+	}
+
+	/**
+	 * Runs the middleware chain, calling `done` once every middleware has called `next()`
+	 * @param {ServerRequest} request
+	 * @param {ServerResult} result
+	 * @param {string} pathname Raw pathname of the request
+	 * @param {?()=>void} done
+	 * @param {any} [error] Start the chain with an error, only running error-handling middleware
+	 */
+	#runMiddleware(request, result, pathname, done, error) {
+		let index = 0;
+
+		const next = (error) => {
+			if (result.writableEnded) return;
+
+			while (index < this.#middleware.length) {
+				let layer = this.#middleware[index ++];
+				let isErrorHandler = layer.callback.length >= 4;
+
+				if (isErrorHandler != (error !== undefined)) continue;
+				if (layer.route && routes.match(layer.route, pathname) == null) continue;
+
+				let args = isErrorHandler ? [error, request, result] : [request, result];
+				Server.#invoke(layer.callback, args, next);
+				return;
+			}
+
+			if (error !== undefined) this.#handleError(error, request, result);
+			else if (done) done();
+		};
+
+		next(error);
+	}
+
+	/**
+	 * Calls a middleware or endpoint callback, passing anything it throws or rejects with to `next`
+	 * @param {Function} callback
+	 * @param {any[]} args
+	 * @param {(error?:any)=>void} next Called at most once
+	 */
+	static #invoke(callback, args, next) {
+		let called = false;
+		const once = (...error) => {
+			if (called) return;
+			called = true;
+			next(...error);
+		};
+
+		try {
+			let value = callback(...args, once);
+			if (value instanceof Promise) value.catch((error) => once(error ?? new Error("Promise rejected without a reason")));
+		} catch (error) {
+			once(error ?? new Error("Callback threw without a reason"));
+		}
+	}
+
+	/**
+	 * Respond to an error that no middleware handled
+	 * @param {any} error
+	 * @param {ServerRequest} request
+	 * @param {ServerResult} result
+	 */
+	#handleError(error, request, result) {
+		let statusCode = error?.status ?? error?.statusCode;
+		if (Number.isInteger(statusCode) == false || statusCode < 400 || statusCode > 599) statusCode = 500;
+
+		if (statusCode >= 500 && this.info.shouldLogFromRequest(request)) console.error(error);
+
+		if (result.headersSent) {
+			result.destroy();
+			return;
+		}
+
+		request.error = error;
+		this.#throwHttpError(statusCode, request, result);
+	}
+
+	/**
+	 * Find the most specific endpoint for a request.
+	 * `HEAD` requests can use `GET` endpoints, and `"*"` isn't used if another path matched with a different method.
+	 * @param {string} pathname Raw pathname of the request
+	 * @param {string} method
+	 * @returns {?EndpointHandler & { params:Object<string, string> }}
+	 */
+	#findEndpoint(pathname, method) {
+		let matchedPath = false;
+
+		for (let route of this.#routes) {
+			let params = routes.match(route, pathname);
+			if (params == null) continue;
+			if (route.type == "catchall" && matchedPath) break;
+			matchedPath = true;
+
+			let handler = route.handlers.find(handler => handler.methods?.includes(method))
+				?? (method == "HEAD" ? route.handlers.find(handler => handler.methods?.includes("GET")) : null)
+				?? route.handlers.find(handler => handler.methods == null);
+			if (handler) return { ...handler, params };
+		}
+		return null;
+	}
+
+	/**
+	 * List the methods that a path can be requested with, for `Allow` headers
+	 * @param {string} pathname Raw pathname of the request
+	 * @returns {?{ methods:?HTTPMethod[] }} `null` if no endpoint matches the path, `methods` is `null` if any method can be used
+	 */
+	#allowedMethods(pathname) {
+		let methods = new Set();
+		let matchedPath = false;
+
+		for (let route of this.#routes) {
+			if (routes.match(route, pathname) == null) continue;
+			if (route.type == "catchall" && matchedPath) break;
+			matchedPath = true;
+
+			for (let handler of route.handlers) {
+				if (handler.methods == null) return { methods: null };
+				for (let method of handler.methods) methods.add(method);
+			}
+		}
+
+		if (!matchedPath) return null;
+		if (methods.has("GET")) methods.add("HEAD");
+		methods.add("OPTIONS");
+		return { methods: [...methods] };
+	}
+
+	/**
+	 * Find the CORS options for a request, from its endpoint, this server, or the servers above it
+	 * @param {?import("./lib/cors.js").CorsOptions|false} [endpointOptions]
+	 * @returns {?import("./lib/cors.js").CorsOptions}
+	 */
+	#findCors(endpointOptions) {
+		let options = endpointOptions;
+		for (let server = this; options == null && server; server = server.parentServer) {
+			options = server.cors;
+		}
+		return options || null;
 	}
 
 	/**
-	 * *Note*: All subdomains are only accessable when using loopback addresses (like "localhost")
-	 * @param {string|{ domain:string, flags?:symbol[], customData?:ServerCustomData }} options
+	 * Serve a subdomain (`"api"` for `api.localhost`), or a whole other hostname (`{ hostname: "example.test" }`), from this server's port.
+	 * 
+	 * Names can have several levels (`"v1.api"`), and `"*"` matches any one label (`"*.app"` for `tenant.app.localhost`), which is put in `request.wildcards`.
+	 * When several names match, the one with the fewest wildcards wins.
+	 * 
+	 * Requests for a hostname that nothing answers to go to the `default` subdomain if there is one.
+	 * Otherwise, they get `404` if they're for an unknown subdomain of the main server, or go to the main server (EG: IP addresses, or no `Host` header).
+	 * `Host` headers that aren't valid hostnames get `400`.
+	 * @param {string|(SubdomainOptions & Partial<ServerInitOptions>)} options Any of `ServerInitOptions`, except `port`, `logging` and `http2` which come from the main server
 	 */
 	subdomain(options) {
 		if (typeof options == "string") {
 			options = { domain: options };
 		}
 
-		if (!options.domain) {
+		let name = options.hostname ?? options.domain;
+		if (!name) {
 			console.error("⚠️  Cannot add subdomain without a name.");
 			return;
 		}
-		if (options.domain in this.#subdomains) {
-			console.error(`⚠️  Cannot overwrite http://${options.domain}.${this.domain}:${this.port}`);
+		try {
+			hosts.parse(name);
+		} catch (error) {
+			console.error("⚠️  "+error.message);
 			return;
 		}
+		if (name in this.#subdomains) {
+			console.error(`⚠️  Cannot overwrite http://${options.hostname ?? name+"."+this.#hostLabels.join(".")}:${this.#rootServer.port}`);
+			return;
+		}
+
+		options.domain = name;
 
 		if (typeof options?.flags == "symbol") options.flags = [options.flags];
 
@@ -204,78 +815,325 @@ class Server {
 		subdomain.info.blacklistEnabled = this.info.blacklistEnabled;
 		subdomain.info.blacklistedIps = this.info.blacklistedIps;
 		
-		this.#subdomains[options.domain] = subdomain;
+		this.#subdomains[name] = subdomain;
+
+		if (options.default) {
+			let root = this.#rootServer;
+			if (root.#defaultHost) console.error(`⚠️  ${root.#defaultHost.fullDomain} is already the default host, not ${subdomain.fullDomain}`);
+			else root.#defaultHost = subdomain;
+		}
 		return subdomain;
 	}
 
 	/**
-	 * Similar to `Server.endpoint`, but run for status-codes like `404`.
-	 * @param {number} statusCode
-	 * @param {ServerCallbackFunction} callback
+	 * Find the server (this one, or a subdomain below it) with the most specific name matching a hostname
+	 * @param {string} hostname Normalized (See `hosts.normalize`)
+	 * @returns {?{ server:Server, wildcards:string[] }}
+	 */
+	#matchHost(hostname) {
+		let labels = hostname.split(".");
+		let best = null;
+
+		const visit = (server) => {
+			let wildcards = hosts.match(server.#hostLabels, labels);
+			if (wildcards && (!best || hosts.specificity(server.#hostLabels) > hosts.specificity(best.server.#hostLabels))) {
+				best = { server, wildcards };
+			}
+			for (let subdomain of Object.values(server.#subdomains)) visit(subdomain);
+		};
+		visit(this);
+
+		return best;
+	}
+
+	/**
+	 * Find the server (this one, or a subdomain below it) that a request is for, from its `Host` header.
+	 * Fills in `request.wildcards` (See `Server.subdomain`)
+	 * @param {ServerRequest} request
+	 * @returns {?Server|false} `null` for an unknown subdomain, `false` if `Host` isn't a valid hostname
+	 */
+	_resolveHost(request) {
+		let hostname = hosts.normalize(Server.getHost(request));
+		if (hostname == null) return false;
+
+		let match = hostname ? this.#matchHost(hostname) : null;
+		request.wildcards = match?.wildcards ?? [];
+
+		if (match) return match.server;
+		if (this.#defaultHost) return this.#defaultHost;
+		if (hostname.endsWith("."+this.#hostLabels.join("."))) return null;
+		return this;
+	}
+
+	/**
+	 * Find the certificate for a hostname requested through SNI
+	 * @param {string} servername
+	 * @returns {?tls.SecureContext} `null` to use the main server's certificate
+	 */
+	#findSecureContext(servername) {
+		let hostname = hosts.normalize(servername);
+		let server = (hostname ? this.#matchHost(hostname)?.server : null) ?? this.#defaultHost;
+
+		for (; server && server != this; server = server.parentServer) {
+			if (server.#secureContext) return server.#secureContext;
+		}
+		return null;
+	}
+
+	/**
+	 * Similar to `Server.endpoint`, but run for status-codes like `404`.
+	 * @param {number} statusCode
+	 * @param {ServerCallbackFunction} callback
+	 */
+	status(statusCode, callback) {
+		if (typeof statusCode != "number") {
+			console.error("\nInvalid status code. The status code must be a number");
+			return;
+		}
+		if (path in this.#statusHandelers) {
+			console.error(`\nCannot overwrite status code: ${statusCode}`);
+			return;
+		}
+		this.#statusHandelers[statusCode] = callback;
+	}
+
+	/**
+	 * Create a Server-Sent Events endpoint on a given path, for `EventSource` in browsers. Unlike websockets, the connection only goes one way.
+	 * @param {string} path Endpoint path
+	 * @param {import("./lib/events.js").EventStreamOptions} [options]
+	 * @returns {import("./lib/events.js")}
+	 */
+	events(path, options) {
+		return new (require("./lib/events.js"))(this, path, options);
+	}
+
+	/**
+	 * Forward requests (and websocket upgrades) for a path, and anything below it, to another service.
+	 * The path is removed, so `proxy("/api", "http://localhost:3000")` sends `/api/users` to `http://localhost:3000/users`.
+	 * 
+	 * Responds with `502` if the service can't be reached, and `504` if it doesn't respond in time (See `Server.status`).
+	 * @param {string} path
+	 * @param {string|import("./lib/proxy.js").ProxyOptions} target URL of the service, or proxy options
+	 */
+	proxy(path, target) {
+		let prefix = path.replace(/\/+$/, "");
+		let options;
+		try {
+			options = proxy.resolveOptions(target);
+		} catch (error) {
+			console.error("⚠️  "+error.message);
+			return;
+		}
+
+		let wildcard = prefix+"/*";
+		const callback = (request, result) => proxy.forward(options, request, result, prefix);
+		this.endpoint(wildcard, callback);
+		if (this.#endpoints[wildcard]?.handlers.some(handler => handler.callback == callback) != true) return;
+
+		this.#proxies.push({ route: this.#endpoints[wildcard], prefix, options });
+		require("./lib/websocket.js").listenForUpgrades(this);
+	}
+
+	/**
+	 * Pass a websocket upgrade to this server's proxy for its path, if there is one (See `Server.proxy`)
+	 * @param {http.IncomingMessage} request
+	 * @param {stream.Duplex} socket
+	 * @param {Buffer} head
+	 * @returns {boolean} `false` if no proxy handles the request
+	 */
+	_proxyUpgrade(request, socket, head) {
+		let pathname = request.url.split("?")[0];
+		let mounted = this.#proxies.find(mounted => routes.match(mounted.route, pathname) != null);
+		if (!this.#proxy && !mounted) return false;
+
+		for (let server = this; server; server = server.parentServer) {
+			if (server.access.allows(Server.getIP(request)) == false) {
+				socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+				return true;
+			}
+		}
+
+		if (this.#proxy) proxy.upgrade(this.#proxy, request, socket, head);
+		else proxy.upgrade(mounted.options, request, socket, head, mounted.prefix);
+		return true;
+	}
+
+	/**
+	 * Create a websocket endpoint on a given path.
+	 * Uses the NPM "ws" package if it's installed, and a built-in implementation if not.
+	 * @param {string} path Endpoint path
+	 * @param {import("./lib/websocket.js").WebsocketOptions} [options]
+	 * @returns {import("./lib/websocket.js")}
+	 */
+	websocket(path, options) {
+		return new (require("./lib/websocket.js"))(this, path, options);
+	}
+
+	/**
+	 * Send a request through this server without a network connection, for testing.
+	 * It goes through everything a real request does: access control, middleware, subdomains, endpoints, files and status handlers.
+	 * 
+	 * On a subdomain, `Host` defaults to the subdomain.
+	 * @param {import("./lib/inject.js").InjectOptions} options
+	 * @returns {Promise<import("./lib/inject.js").InjectResult>}
+	 */
+	inject(options) {
+		let root = this.#rootServer;
+		options = { ...options, headers: { host: this.fullDomain, ...options?.headers } };
+
+		return require("./lib/inject.js").request(options, this.protocol == "https", (request, result) => {
+			if (root.logger) root.#trackRequest(request, result);
+			root.#processRequest(request, result);
+		});
+	}
+
+	/**
+	 * Connect to a websocket endpoint without a network connection, for testing.
+	 * The connection is checked like a real one (`403`, `404` and `429` reject with an error that has a `status`), then goes to the websocket's listeners.
+	 * @param {import("./lib/inject.js").InjectOptions} options `method` and `body` are ignored
+	 * @returns {Promise<import("./lib/inject.js").InjectedWebsocket>}
 	 */
-	status(statusCode, callback) {
-		if (typeof statusCode != "number") {
-			console.error("\nInvalid status code. The status code must be a number");
-			return;
+	injectWebsocket(options) {
+		options = { ...options, headers: { host: this.fullDomain, ...options?.headers } };
+		return require("./lib/websocket.js").inject(this, options);
+	}
+
+	/**
+	 * @param {ServerRequest} request 
+	 * @param {ServerResult} result
+	 * @param {?Server} [target] The server the request is for, found by the main server (See `Server._resolveHost`)
+	 */
+	#processRequest(request, result, target) {
+		if (target === undefined) {
+			target = this._resolveHost(request);
+			if (target === false) {
+				this.#throwHttpError(400, request, result);
+				return;
+			}
 		}
-		if (path in this.#statusHandelers) {
-			console.error(`\nCannot overwrite status code: ${statusCode}`);
+
+		if (this.access.allows(Server.getIP(request)) == false) {
+			this.#throwHttpError(403, request, result);
 			return;
 		}
-		this.#statusHandelers[statusCode] = callback;
+
+		let requestUrl = new URL("http://example.com"+request.url);
+
+		// Before any middleware runs, so that its responses (EG: 429 from `rateLimit`) can be read by other origins too
+		if (target && !this.parentServer && request.headers.origin) target.#applyCors(request, result, requestUrl.pathname ?? "/");
+
+		this.#runMiddleware(request, result, requestUrl.pathname ?? "/", () => {
+			this.#dispatchRequest(request, result, target);
+		});
 	}
 
 	/**
-	 * Create a websocket endpoint on a given path.
-	 * @param {string} path Endpoint path
-	 * @returns Returns a Websocket endpoint (only if NPM "ws" package is installed)
+	 * Add CORS headers for the endpoint a request is for. Preflights use the endpoint of the method they ask about
+	 * @param {ServerRequest} request
+	 * @param {ServerResult} result
+	 * @param {string} pathname Raw pathname of the request
 	 */
-	websocket(path) {
-		return new (require("./lib/websocket.js"))(this, path);
+	#applyCors(request, result, pathname) {
+		if (this.#proxy) return;
+
+		let method = cors.isPreflight(request) ? request.headers["access-control-request-method"].toUpperCase() : request.method;
+		let corsOptions = this.#findCors(this.#findEndpoint(pathname, method)?.cors);
+		if (corsOptions) cors.apply(corsOptions, request, result);
 	}
 
 	/**
+	 * Serve an endpoint/file, or pass the request on to a subdomain
 	 * @param {ServerRequest} request 
 	 * @param {ServerResult} result
-	 * @param {?string} domain
+	 * @param {?Server} target
 	 */
-	#processRequest(request, result, domain) {
-		domain = domain ?? request.headers.host;
-		domain = domain.replace(":"+this.port, "");
+	#dispatchRequest(request, result, target) {
+		let requestUrl = new URL("http://example.com"+request.url);
+
+		if (target == this) { // This is the requested (sub?) domain, serve endpoint/file
+
+			handlingServers.set(request, this);
+
+			let pathname = requestUrl.pathname ?? "/";
+
+			if (this.#proxy) {
+				proxy.forward(this.#proxy, request, result).catch((error) => {
+					this.#runMiddleware(request, result, pathname, null, error);
+				});
+				return;
+			}
+
+			let endpoint = this.#findEndpoint(pathname, request.method);
+			let allowed = this.#allowedMethods(pathname);
 
-		let subdomain = domain.split(".").at(-2);
+			if (request.method == "OPTIONS" && endpoint?.methods?.includes("OPTIONS") != true) {
+				let methods = allowed?.methods ?? null;
+				if (!allowed && this.flags[Server.flags.FILESYSTEM]) methods = ["GET", "HEAD", "OPTIONS"];
+
+				if (allowed || this.flags[Server.flags.FILESYSTEM]) {
+					let requestedMethod = request.headers["access-control-request-method"]?.toUpperCase();
+					let target = requestedMethod ? this.#findEndpoint(pathname, requestedMethod) : null;
+					cors.preflight(cors.isPreflight(request) ? this.#findCors(target?.cors) : null, request, result, methods);
+					return;
+				}
+			}
 
-		let requestUrl = new URL("http://"+request.headers.host+request.url);
-		let requestedPath = decodeURI(requestUrl.pathname ?? "/");
+			if (!endpoint && allowed) { // The path exists, but not for this method
+				result.setHeader("Allow", allowed.methods.join(", "));
+				this.#throwHttpError(405, request, result);
 
-		if (domain == this.domain || domain.includes(".") == false) { // This is the requested (sub?) domain, serve endpoint/file
+			} else if (endpoint) {
+				request.params = endpoint.params;
 
-			if (requestedPath in this.#endpoints && (this.#endpoints[requestedPath].methods==null||this.#endpoints[requestedPath].methods.includes(request.method))) {
-				let endpoint = this.#endpoints[requestedPath];
-				endpoint.callback(request, result);
+				const handleError = (error) => {
+					if (error === undefined) return;
+					this.#runMiddleware(request, result, pathname, null, error);
+				};
+				const run = () => Server.#invoke(endpoint.callback, [request, result], handleError);
 
-			} else if ("*" in this.#endpoints) {
-				let endpoint = this.#endpoints["*"];
-				endpoint.callback(request, result);
+				if (endpoint.rateLimit) Server.#invoke(endpoint.rateLimit, [request, result], error => error === undefined ? run() : handleError(error));
+				else run();
 
 			} else if (this.flags[Server.flags.FILESYSTEM]) {
-				if (this.customData["rootDirectory"]) {
-					requestedPath = this.customData["rootDirectory"].replace(/\/$/, "") + requestedPath;
+				let requestedPath;
+				try {
+					requestedPath = decodeURIComponent(requestUrl.pathname ?? "/");
+				} catch (error) {
+					this.#throwHttpError(400, request, result);
+					return;
 				}
 
-				let statusPromise = Server.sendFile(requestedPath, result);
+				let fileOptions = {
+					root: this.customData["rootDirectory"],
+					cacheControl: this.customData["cacheControl"],
+					dotfiles: this.customData["dotfiles"],
+					symlinks: this.customData["symlinks"],
+					precompressed: this.compression?.precompressed ?? false,
+					directoryListing: this.customData["directoryListing"],
+					inject: this.#liveReload?.script
+				};
+
+				let statusPromise = Server.sendFile(requestedPath, result, fileOptions).then((status) => {
+					let fallback = this.customData["fallback"];
+					let isPage = (request.method == "GET" || request.method == "HEAD") && request.headers["accept"]?.includes("text/html");
+					if (status != 404 || !fallback || !isPage) return status;
+					return Server.sendFile(fallback, result, fileOptions);
+				});
 
 				statusPromise.then((status) => {
-					if (status != 200) this.#throwHttpError(status, request, result);
+					if (status >= 400 && result.headersSent == false) this.#throwHttpError(status, request, result);
+				}).catch((error) => {
+					this.#runMiddleware(request, result, requestUrl.pathname ?? "/", null, error);
 				});
 
 			} else {
 				this.#throwHttpError(404, request, result);
 			}
 
-		} else if (subdomain in this.#subdomains) { // Pass along to a subdomain
-			let newDomain = domain.replace("."+this.domain, "");
-			this.#subdomains[subdomain].#processRequest(request, result, newDomain);
+		} else if (target) { // Pass along to the subdomain, or the subdomain above it
+			let subdomain = target;
+			while (subdomain.parentServer != this) subdomain = subdomain.parentServer;
+			subdomain.#processRequest(request, result, target);
 
 		} else { // Requested subdomain doesn't exist
 			this.#throwHttpError(404, request, result);
@@ -293,34 +1151,223 @@ class Server {
 		if (statusCode in this.#statusHandelers) {
 			let callback = this.#statusHandelers[statusCode];
 			
-			if (callback.constructor.name == "AsyncFunction") {
+			try {
 				await callback(request, result);
-			} else {
-				callback(request, result);
+			} catch (error) {
+				if (this.info.shouldLogFromRequest(request)) console.error(error);
 			}
 
 			if (result.writableEnded) return;
+			if (result.headersSent) {
+				result.destroy();
+				return;
+			}
 		}
 
-		let message = Server.logMessageTemplates.http.default;
+		let message = this.info.getTemplate("http", statusCode);
 
-		let status = statusCode.toString();
-
-		if (status in Server.logMessageTemplates.http) {
-			message = Server.logMessageTemplates.http[status];
-		}
-
-		let formattedMessage = this.info.logMessage(message, { ip: Server.getIP(request), url: decodeURI(request.url), isError:true });
+		let formattedMessage = this.info.logMessage(message, {
+			ip: Server.getIP(request),
+			url: safeDecodeURI(request.url),
+			method: request.method,
+			status: statusCode,
+			isError: true
+		});
 
 		result.writeHead(statusCode, { "Content-Type": "text/plain" });
 		result.end(`Error ${statusCode}:\n\n${formattedMessage.client}`);
 
 
-		if ( this.info.shouldLogFromRequest(request) == false ) return;
+		if ( this.info.shouldLogFromRequest(request) == false || !formattedMessage.server ) return;
+		if ( this.#hidesStatusLogs() || this.#rootServer.logger ) return; // Logged by the access log instead
 
 		console.log(formattedMessage.server);
 	}
 
+	/** @returns {Server} The server at the top of the subdomains */
+	get #rootServer() {
+		let server = this;
+		while (server.parentServer) server = server.parentServer;
+		return server;
+	}
+
+	/** @returns {boolean} See `Server.flags.HIDESTATUSLOGS` */
+	#hidesStatusLogs() {
+		for (let server = this; server; server = server.parentServer) {
+			if (server.flags[Server.flags.HIDESTATUSLOGS]) return true;
+		}
+		return false;
+	}
+
+	/**
+	 * Count the bytes sent for a request, and write it to the access log when it's finished
+	 * @param {ServerRequest} request
+	 * @param {ServerResult} result
+	 */
+	#trackRequest(request, result) {
+		let time = new Date;
+		let start = performance.now();
+		let bytes = 0;
+
+		const count = (chunk, encoding) => {
+			if (chunk != null && typeof chunk != "function") bytes += Buffer.byteLength(chunk, typeof encoding == "string" ? encoding : undefined);
+		};
+
+		const write = result.write;
+		const end = result.end;
+		result.write = function(chunk, encoding, callback) {
+			count(chunk, encoding);
+			return write.call(this, chunk, encoding, callback);
+		};
+		result.end = function(chunk, encoding, callback) {
+			count(chunk, encoding);
+			return end.call(this, chunk, encoding, callback);
+		};
+
+		let logged = false;
+		const log = (aborted) => {
+			if (logged) return;
+			logged = true;
+
+			let server = handlingServers.get(request) ?? this;
+			if (server.#hidesStatusLogs() || server.info.shouldLogFromRequest(request) == false) return;
+
+			let subdomains = [];
+			for (let current = server; current.parentServer; current = current.parentServer) subdomains.push(current.domain);
+
+			let entry = {
+				time,
+				method: request.method,
+				url: request.url,
+				httpVersion: request.httpVersion,
+				status: result.statusCode,
+				bytes,
+				duration: Math.round((performance.now() - start) * 1000) / 1000,
+				ip: Server.getIP(request),
+				host: Server.getHost(request),
+				subdomain: subdomains.length > 0 ? subdomains.join(".") : null,
+				referer: request.headers["referer"] ?? null,
+				userAgent: request.headers["user-agent"] ?? null,
+				aborted
+			};
+
+			logEntryServers.set(entry, server);
+			this.logger.log(entry);
+		};
+
+		result.once("finish", () => log(false));
+		result.once("close", () => log(result.writableFinished == false));
+	}
+
+	/**
+	 * The `"pretty"` access log format, using `info.setTemplate` templates
+	 * @param {import("./lib/logger.js").AccessLogEntry} entry
+	 * @returns {string}
+	 */
+	#formatLogEntry(entry) {
+		let server = logEntryServers.get(entry) ?? this;
+
+		let hasTemplate = entry.status in Server.logMessageTemplates.http;
+		for (let current = server; current && !hasTemplate; current = current.parentServer) {
+			hasTemplate = entry.status in current.info.templates.http;
+		}
+
+		// Errors without their own template use "default", everything else uses "200"
+		let message = server.info.getTemplate("http", entry.status >= 400 || hasTemplate ? entry.status : 200);
+		if (typeof message != "string") message = message.server ?? Server.logMessageTemplates.http["200"].server;
+
+		return server.info.logMessage(message, { ...entry, url: safeDecodeURI(entry.url), isError: entry.status >= 400 });
+	}
+
+	/**
+	 * Run code when the main server opens and closes, like connecting to a database or finishing queued work.
+	 * Callbacks get the main server, can return promises, and run one at a time: this server's first, then its subdomains'.
+	 */
+	hooks = {
+		/** @type {Object<"beforeOpen"|"afterOpen"|"beforeClose"|"afterClose", ((server:Server)=>void|Promise<void>)[]>} */
+		callbacks: { beforeOpen: [], afterOpen: [], beforeClose: [], afterClose: [] },
+
+		/**
+		 * Before the server starts listening. If the callback throws, the server doesn't open and `open()` rejects
+		 * @param {(server:Server)=>void|Promise<void>} callback
+		 */
+		beforeOpen(callback) {
+			this.callbacks.beforeOpen.push(callback);
+		},
+
+		/**
+		 * Once the server is listening
+		 * @param {(server:Server)=>void|Promise<void>} callback
+		 */
+		afterOpen(callback) {
+			this.callbacks.afterOpen.push(callback);
+		},
+
+		/**
+		 * Before connections are drained, while websockets and event streams are still open
+		 * @param {(server:Server)=>void|Promise<void>} callback
+		 */
+		beforeClose(callback) {
+			this.callbacks.beforeClose.push(callback);
+		},
+
+		/**
+		 * Once every connection is closed
+		 * @param {(server:Server)=>void|Promise<void>} callback
+		 */
+		afterClose(callback) {
+			this.callbacks.afterClose.push(callback);
+		}
+	}
+
+	/**
+	 * Blocks requests by IP address, responding with `403` (See `Server.status`).
+	 * 
+	 * Requests to a subdomain must be allowed by both the subdomain and the server it was created on.
+	 */
+	access = {
+		/** @type {import("./lib/ip.js").IPRange[]} */
+		allowedRanges: [],
+		/** @type {import("./lib/ip.js").IPRange[]} */
+		deniedRanges: [],
+
+		/**
+		 * Only allow requests from the given IP addresses or CIDR ranges (like `"192.168.0.0/16"` or `"fd00::/8"`)
+		 * @param {...string} ranges
+		 * ***Tip:*** If you want to allow this machine, you can use: It's IP address; `"127.0.0.1"`; Or `"local"`
+		 */
+		allow(...ranges) {
+			this.allowedRanges.push(...parseRanges(ranges));
+		},
+
+		/**
+		 * Block requests from the given IP addresses or CIDR ranges. Takes priority over `allow`
+		 * @param {...string} ranges
+		 */
+		deny(...ranges) {
+			this.deniedRanges.push(...parseRanges(ranges));
+		},
+
+		/** Allow requests from everyone again */
+		clear() {
+			this.allowedRanges = [];
+			this.deniedRanges = [];
+		},
+
+		/**
+		 * @param {?string} ipAddress See `Server.getIP`
+		 * @returns {boolean}
+		 */
+		allows(ipAddress) {
+			if (ip.matches(ipAddress, this.deniedRanges)) return false;
+			if (this.allowedRanges.length == 0) return true;
+			return ip.matches(ipAddress, this.allowedRanges);
+		}
+	}
+
+	/**
+	 * Filters which requests are logged. This doesn't block anything, see `Server.access` for that
+	 */
 	info = {
 		whitelistEnabled: false,
 		blacklistEnabled: false,
@@ -353,32 +1400,76 @@ class Server {
 			} else return true;
 		},
 
+		/** @type {{ http:Object<string, {client?:string,server?:string}>, websocket:Object<string, string>, events:Object<string, string> }} Set through `info.setTemplate` */
+		templates: { http: {}, websocket: {}, events: {} },
+
+		/**
+		 * Replace a log message template, for this server and its subdomains (See `json/messages.json` for the defaults)
+		 * 
+		 * Templates can use `{{data.url}}`, `{{data.status}}`, `{{STYLES.red}}` and filters like `{{data.method | upper | padEnd:7}}` (See `lib/template.js`)
+		 * @param {"http"|"websocket"|"events"} type
+		 * @param {number|"default"|"connection"|"error"|"message"|"close"} key HTTP status code, or websocket or event stream event
+		 * @param {string|{client?:string,server?:string}} message HTTP templates have a `client` message (sent in the response) and a `server` message (logged)
+		 */
+		setTemplate: (type, key, message) => {
+			if (type in this.info.templates == false) {
+				console.error(`⚠️  Unknown template type "${type}", expected "http", "websocket" or "events".`);
+				return;
+			}
+			if (type == "http" && typeof message == "string") message = { server: message };
+
+			try {
+				for (let text of typeof message == "string" ? [message] : Object.values(message)) template.compile(text);
+			} catch (error) {
+				console.error("⚠️  "+error.message);
+				return;
+			}
+
+			this.info.templates[type][key] = message;
+		},
+
+		/**
+		 * Find the template for a status code or websocket event, checking this server, then the servers above it, then `Server.logMessageTemplates`
+		 * @param {"http"|"websocket"|"events"} type
+		 * @param {number|string} key
+		 * @returns {string|{client?:string,server?:string}}
+		 */
+		getTemplate: (type, key) => {
+			for (let server = this; server; server = server.parentServer) {
+				if (key in server.info.templates[type]) return server.info.templates[type][key];
+			}
+			if (key in Server.logMessageTemplates[type]) return Server.logMessageTemplates[type][key];
+
+			for (let server = this; server; server = server.parentServer) {
+				if ("default" in server.info.templates[type]) return server.info.templates[type]["default"];
+			}
+			return Server.logMessageTemplates[type]["default"] ?? "";
+		},
+
 		/**
-		 * @param {string|{client:string,server:string}} reference
+		 * @param {string|{client?:string,server?:string}} reference
 		 * @param {Object<string, any> & {ip:string, isError:boolean}} data
 		 * @returns {string|{client:string,server:string}}
 		 */
 		logMessage(reference, data) {
-			if (reference.client || reference.server) {
-				return {
-					client: reference?.client ? reference.client.replace(/\{\{(.*?)\}\}/g, (match, index) => eval(index) ) : "",
-					server: reference?.server ? (
-						(data?.isError ? "🔸 " : "🔹 ")+
-						getTime()+
-						" ["+Server.logStyles.blue + data.ip + Server.logStyles.reset+"] "+
-						reference.server.replace(/\{\{(.*?)\}\}/g, (match, index) => eval(index) )+
-						Server.logStyles.reset
-					) : ""
-				};
-			}
+			let context = { data, STYLES: Server.logStyles };
 
-			return (
+			const serverMessage = (text) => (
 				(data?.isError ? "🔸 " : "🔹 ")+
 				getTime()+
 				" ["+Server.logStyles.blue + data.ip + Server.logStyles.reset+"] "+
-				reference.replace(/\{\{(.*?)\}\}/g, (match, index) => eval(index) )+
+				template.render(text, context)+
 				Server.logStyles.reset
 			);
+
+			if (typeof reference != "string") {
+				return {
+					client: reference?.client ? template.render(reference.client, context) : "",
+					server: reference?.server ? serverMessage(reference.server) : ""
+				};
+			}
+
+			return serverMessage(reference);
 		},
 
 		/**
@@ -418,12 +1509,23 @@ class Server {
 
 	/**
 	 * Get a client's IP address from a request
+	 * 
+	 * When the request comes from one of `Server.trustedProxies`, the address is read from `X-Forwarded-For`
 	 * @param {ServerRequest} request
 	 * @returns {?string}
 	 */
 	static getIP(request) {
-		if (request instanceof http.IncomingMessage == false) return null;
-		let ipAddress = request.socket.remoteAddress;
+		let ipAddress = request?.socket?.remoteAddress;
+		if (!ipAddress) return null;
+
+		if (Server.trustedProxies.length > 0) {
+			let forwarded = [request.headers["x-forwarded-for"] ?? []].flat().join(",").split(",").map(address => address.trim()).filter(Boolean);
+
+			// Each proxy appends the address it received the request from, so the client is the last address not added by a trusted proxy
+			while (forwarded.length > 0 && Server._isTrustedProxy(ipAddress)) {
+				ipAddress = forwarded.pop();
+			}
+		}
 
 		if (ipAddress.startsWith("::ffff:")) ipAddress = ipAddress.replace("::ffff:", "");
 		if (ipAddress == "::1") ipAddress = "127.0.0.1";
@@ -432,35 +1534,54 @@ class Server {
 	}
 
 	/**
-	 * Extract cookies from a client request
-	 * @param {ServerRequest} request 
-	 * @returns {Promise<string|object>}
+	 * @param {?string} ipAddress
+	 * @returns {boolean} If the address is one of `Server.trustedProxies`
 	 */
-	static getBody(request) {
-		return new Promise((resolve, reject) => {
-			let body = "";
+	static _isTrustedProxy(ipAddress) {
+		return Server.trustedProxies.length > 0 && ip.matches(ipAddress, trustedRanges());
+	}
 
-			let mime = (request.headers["content-type"]??"text/plain").split(";")[0].trim();
-			
-			request.on("data", (chunk) => {
-				body += chunk;
-			});
-			
-			request.on("end", () => {
+	/**
+	 * Get the host a request was sent to, including the port (`Host` header, or `:authority` for HTTP/2)
+	 * @param {ServerRequest} request
+	 * @returns {string}
+	 */
+	static getHost(request) {
+		return request.headers.host ?? request.headers[":authority"] ?? request.authority ?? "";
+	}
 
-				if (mime == Server.mimeTypes.json) {
-					resolve(JSON.parse(body));
-				} else resolve(body);
-			});
-		})
+	/**
+	 * Read and parse the body of a client request (See `Server.bodyOptions` for the defaults)
+	 * 
+	 * Rejects with an error that has a `status` of `413` if the body is too large, or `400` if it is malformed.
+	 * Thrown from an endpoint, these are sent to the matching status handler (See `Server.use`).
+	 * @param {ServerRequest} request 
+	 * @param {import("./lib/body.js").BodyOptions} [options]
+	 * @returns {Promise<string|Buffer|Object<string, string|string[]|import("./lib/body.js").UploadedFile|import("./lib/body.js").UploadedFile[]>>}
+	 */
+	static getBody(request, options) {
+		return require("./lib/body.js").read(request, { ...Server.bodyOptions, ...options });
 	}
 
 	/**
-	 * @param {string} path
+	 * Stream a file to the client.
+	 * 
+	 * Supports `HEAD`, conditional requests (`If-None-Match`/`If-Modified-Since`, answered with `304`)
+	 * and single byte ranges (`Range`, answered with `206`, or `416` if it can't be satisfied).
+	 * 
+	 * When the returned status is `400` or above, nothing has been sent yet.
+	 * 
+	 * Files outside of `options.root` are never sent (`403`), even through `".."` segments or symlinks.
+	 * @param {string} filePath Decoded path, relative to `options.root`
 	 * @param {ServerResult} result
+	 * @param {{ root?:string, cacheControl?:Object<string, string>, dotfiles?:"allow"|"deny"|"ignore", symlinks?:"follow"|"refuse", precompressed?:boolean, directoryListing?:boolean|import("./lib/listing.js").DirectoryListingOptions, inject?:string }} [options]
+	 * See `CustomData`. `root` defaults to the current working directory.
+	 * `precompressed` serves `.br`/`.gz` files next to the requested file when the client accepts them.
+	 * `directoryListing` lists the contents of directories that have no index file (See `Server.defaultIndexes`)
+	 * `inject` is inserted before `</body>` in HTML files, which are then sent whole instead of streamed (See `Server.flags.LIVERELOAD`)
 	 * @returns {Promise<number>} Promise returning HTTP status code
 	 */
-	static sendFile(path, result) {
+	static sendFile(filePath, result, options) {
 
 		return new Promise((resolve) => {
 
@@ -469,9 +1590,13 @@ class Server {
 				return;
 			}
 
-			if (path.startsWith("/")) path = path.replace("/", "");
+			let root = options?.root ?? ".";
+			let pathname = files.joinRoot(root, filePath);
 
-			let pathname = "."+decodeURI( new URL("http://example.com/"+path).pathname );
+			if (pathname == null) {
+				resolve(400); // Bad Request
+				return;
+			}
 
 			if ( (/\.([^/.]+)$/).test(pathname) == false ) { // Path has no file extension
 
@@ -485,7 +1610,7 @@ class Server {
 
 			}
 
-			let stats = fs.lstatSync(pathname, {throwIfNoEntry: false});
+			let stats = fs.statSync(pathname, {throwIfNoEntry: false});
 
 			if (stats?.isDirectory()) {
 
@@ -500,17 +1625,23 @@ class Server {
 
 			}
 
-			if ( fs.existsSync(pathname) == false ) {
-				resolve(404); // Not Found
+			let access = files.checkAccess(root, pathname, options ?? {});
+			if (access != 200) {
+				resolve(access);
 				return;
 			}
 
-			fs.readFile(pathname, (err, data) => {
-				if (err) {
-					resolve(500); // Internal Server Error
+			fs.stat(pathname, (err, stats) => {
+				if (stats?.isDirectory() && options?.directoryListing) {
+					Server.#sendDirectoryListing(pathname, root, result, options).then(resolve, () => resolve(500));
+					return;
+				}
+				if (err || stats.isFile() == false) {
+					resolve(404); // Not Found
 					return;
 				}
 
+				let request = result.req;
 				let fileExtension = pathname.split(".").at(-1);
 				let mimeType = Server.mimeTypes["txt"];
 
@@ -518,28 +1649,182 @@ class Server {
 					mimeType = Server.mimeTypes[fileExtension];
 				}
 
-				result.writeHead(200, { "Content-Type": mimeType });
-				result.write(data);
-				result.end();
-				resolve(200); // OK
-				return;
+				let servedPath = pathname;
+				let inject = mimeType == Server.mimeTypes["html"] ? options?.inject : null;
+
+				if (options?.precompressed && request && !request.headers["range"] && !inject) {
+					let siblings = { br: pathname+".br", gzip: pathname+".gz" };
+					let available = Object.keys(siblings).filter((encoding) => {
+						return fs.statSync(siblings[encoding], {throwIfNoEntry: false})?.isFile() && files.checkAccess(root, siblings[encoding], options) == 200;
+					});
+
+					let encoding = compression.negotiate(request.headers["accept-encoding"], available);
+					compression.vary(result);
+
+					if (encoding) {
+						servedPath = siblings[encoding];
+						stats = fs.statSync(servedPath);
+						result.setHeader("Content-Encoding", encoding);
+					}
+				}
+
+				let etag = files.etag(stats);
+				if (inject) etag = etag.replace(/"$/, '-i"'); // Not the same as the file without the script
+				let urlPath = new URL("http://example.com"+(request?.url ?? "/")).pathname;
+				let cacheControl = files.cacheControl(options?.cacheControl, pathname, urlPath);
+
+				result.setHeader("ETag", etag);
+				result.setHeader("Last-Modified", stats.mtime.toUTCString());
+				if (!inject) result.setHeader("Accept-Ranges", "bytes");
+				if (cacheControl) result.setHeader("Cache-Control", cacheControl);
+
+				let headers = request?.headers ?? {};
+				let isReadRequest = request == null || request.method == "GET" || request.method == "HEAD";
+
+				if (isReadRequest && files.isFresh(headers, etag, stats.mtime)) {
+					result.writeHead(304);
+					result.end();
+					resolve(304); // Not Modified
+					return;
+				}
+
+				if (inject) {
+					Server.#sendInjected(servedPath, inject, request, result).then(resolve, () => resolve(500));
+					return;
+				}
+
+				let range = isReadRequest ? files.parseRange(headers, stats.size, etag, stats.mtime) : null;
+
+				if (range === false) {
+					result.setHeader("Content-Range", `bytes */${stats.size}`);
+					resolve(416); // Range Not Satisfiable
+					return;
+				}
+
+				let status = 200;
+				let start = 0;
+				let end = stats.size - 1;
+
+				if (range) {
+					status = 206;
+					start = range.start;
+					end = range.end;
+					result.setHeader("Content-Range", `bytes ${start}-${end}/${stats.size}`);
+				}
+
+				result.writeHead(status, {
+					"Content-Type": mimeType,
+					"Content-Length": end - start + 1
+				});
+
+				if (request?.method == "HEAD" || stats.size == 0) {
+					result.end();
+					resolve(status);
+					return;
+				}
+
+				stream.pipeline(fs.createReadStream(servedPath, { start, end }), result, () => {
+					resolve(status); // OK or Partial Content
+				});
 			});
 		})
 	}
 
 	/**
-	 * @type {{
-	 * 	get:(request:ServerRequest)=>Object<string, string>,
-	 * 	set:(key:string, value:string, result:ServerResult)=>Object<string, string>
-	 * }}
+	 * Send an HTML file with `html` inserted before its closing `</body>` tag, or at the end if it has none
+	 * @param {string} pathname
+	 * @param {string} html
+	 * @param {?ServerRequest} request
+	 * @param {ServerResult} result
+	 * @returns {Promise<number>} Promise returning HTTP status code
+	 */
+	static async #sendInjected(pathname, html, request, result) {
+		let body = await fs.promises.readFile(pathname, "utf8");
+		let index = -1;
+		for (let match of body.matchAll(/<\/body\b/gi)) index = match.index;
+		body = index == -1 ? body+html : body.slice(0, index)+html+body.slice(index);
+
+		result.writeHead(200, {
+			"Content-Type": Server.mimeTypes["html"],
+			"Content-Length": Buffer.byteLength(body)
+		});
+		result.end(request?.method == "HEAD" ? undefined : body);
+		return 200;
+	}
+
+	/**
+	 * Respond with the contents of a directory, as HTML or as JSON (if the client accepts `application/json`)
+	 * @param {string} pathname
+	 * @param {string} root
+	 * @param {ServerResult} result
+	 * @param {{ directoryListing:boolean|import("./lib/listing.js").DirectoryListingOptions, dotfiles?:"allow"|"deny"|"ignore", symlinks?:"follow"|"refuse" }} options
+	 * @returns {Promise<number>} Promise returning HTTP status code
+	 */
+	static async #sendDirectoryListing(pathname, root, result, options) {
+		let request = result.req;
+		let requestUrl = new URL("http://example.com"+(request?.url ?? "/"));
+
+		let listingOptions = { sort: "name", order: "asc", hidden: false, ...(options.directoryListing === true ? {} : options.directoryListing) };
+		let sort = requestUrl.searchParams.get("sort") ?? listingOptions.sort;
+		let order = requestUrl.searchParams.get("order") ?? listingOptions.order;
+
+		let entries = await listing.read(pathname, listingOptions, Server.mimeTypes, (entryPath) => {
+			return files.checkAccess(root, entryPath, { ...options, dotfiles: "allow" }) == 200;
+		});
+		listing.sort(entries, sort, order);
+
+		let urlPath;
+		try {
+			urlPath = decodeURIComponent(requestUrl.pathname);
+		} catch (error) {
+			urlPath = requestUrl.pathname;
+		}
+
+		let body, contentType;
+		if (/\bapplication\/json\b/.test(request?.headers["accept"] ?? "")) {
+			body = JSON.stringify({ path: urlPath, entries });
+			contentType = Server.mimeTypes["json"];
+		} else {
+			body = listing.html(entries, urlPath, sort, order);
+			contentType = Server.mimeTypes["html"];
+		}
+
+		if (result.writableEnded) return 406; // Not Acceptable
+
+		result.writeHead(200, {
+			"Content-Type": contentType+"; charset=utf-8",
+			"Content-Length": Buffer.byteLength(body),
+			"Vary": "Accept"
+		});
+		result.end(request?.method == "HEAD" ? undefined : body);
+		return 200; // OK
+	}
+
+	/**
+	 * Read and write cookies, see lib/cookies.js
+	 * @type {typeof import("./lib/cookies.js")}
 	 */
 	static cookie = require("./lib/cookies.js")
 
+	/**
+	 * Session stores, see `ServerInitOptions.sessions`
+	 * @type {typeof import("./lib/sessions.js")}
+	 */
+	static session = sessions;
+
+	/**
+	 * Rate limiters and their default store, see `ServerInitOptions.rateLimit`
+	 * @type {typeof import("./lib/ratelimit.js")}
+	 */
+	static rateLimit = require("./lib/ratelimit.js");
+
 	static flags = {
 		/** Use if the server you are creating is a fileserver (no endpoints can be made) */
 		FILESYSTEM: Symbol("flags:FILESYSTEM"),
 		/** Hide all HTTP status logs from the console/terminal */
 		HIDESTATUSLOGS: Symbol("flags:HIDESTATUSLOGS"),
+		/** Reload pages in the browser when files in `rootDirectory` change, for development (Only with `FILESYSTEM`) */
+		LIVERELOAD: Symbol("flags:LIVERELOAD"),
 		/** **⚠️ Internal use only ⚠️** */
 		_SUBDOMAIN: Symbol("flags:_SUBDOMAIN")
 	};
@@ -550,13 +1835,100 @@ class Server {
 
 	static mimeTypes = require("./json/mime_types.json");
 
+	/**
+	 * Create a self-signed certificate for local development, without any external tools
+	 * @param {import("./lib/tls.js").SelfSignedOptions} [options]
+	 * @returns {{ key:string, cert:string }} Can be used as `ServerInitOptions.tls`
+	 */
+	static createSelfSignedCertificate(options) {
+		return certificates.selfSigned(options);
+	}
+
+	/**
+	 * IP addresses or CIDR ranges of reverse proxies, whose `X-Forwarded-For` headers are trusted by `Server.getIP`
+	 * @type {string[]}
+	 */
+	static trustedProxies = [];
+
 	static fixedIpAddress = ("Wi-Fi" in os.networkInterfaces()) ? os.networkInterfaces()["Wi-Fi"][0].address : "localhost";
 
+	/** @type {Required<import("./lib/body.js").BodyOptions>} Defaults for `Server.getBody` */
+	static bodyOptions = {
+		limit: 1024 * 1024,
+		uploadLimit: 100 * 1024 * 1024,
+		uploadDirectory: os.tmpdir(),
+		raw: false
+	};
+
 	static defaultIndexes = ["index.html", "index.htm", "index.js", "index.json", "index.php"];
 }
 
 module.exports = Server;
 
+/**
+ * @param {import("net").Server} server
+ * @param {number} port
+ * @returns {Promise<void>} Rejects if the server can't listen, EG: `EADDRINUSE`
+ */
+function listen(server, port) {
+	return new Promise((resolve, reject) => {
+		const onError = (error) => {
+			server.off("listening", onListening);
+			reject(error);
+		};
+		const onListening = () => {
+			server.off("error", onError);
+			resolve();
+		};
+		server.once("error", onError);
+		server.once("listening", onListening);
+		server.listen(port, "0.0.0.0");
+	});
+}
+
+/**
+ * @returns {import("./lib/ip.js").IPRange[]} `Server.trustedProxies`, parsed once for each version of the list
+ */
+function trustedRanges() {
+	let key = Server.trustedProxies.join(",");
+	if (key != trustedProxyRanges.key) trustedProxyRanges = { key, ranges: parseRanges(Server.trustedProxies) };
+	return trustedProxyRanges.ranges;
+}
+
+/**
+ * Parse IP addresses and CIDR ranges, logging any that are invalid
+ * @param {string[]} ranges
+ * @returns {import("./lib/ip.js").IPRange[]}
+ */
+function parseRanges(ranges) {
+	let parsed = [];
+
+	for (let range of ranges) {
+		if (range == Server.fixedIpAddress || range == "local") {
+			parsed.push(ip.parseRange("127.0.0.1"), ip.parseRange("::1"));
+			continue;
+		}
+
+		let result = ip.parseRange(range);
+		if (result) parsed.push(result);
+		else console.error(`⚠️  Invalid IP address or range: "${range}"`);
+	}
+
+	return parsed;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} `text` decoded, or as it was if it is malformed
+ */
+function safeDecodeURI(text) {
+	try {
+		return decodeURI(text);
+	} catch (error) {
+		return text;
+	}
+}
+
 /**
  * Formats the current time to be printed to the console/terminal
  * @returns {string}
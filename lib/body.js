@@ -0,0 +1,345 @@
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+/**
+ * @typedef {object} BodyOptions
+ * @prop {number} [limit] Maximum size of the body in bytes (for `multipart/form-data`, of each field that isn't a file). Larger bodies are rejected with status `413`
+ * @prop {number} [uploadLimit] Maximum size of a `multipart/form-data` body in bytes, including all files
+ * @prop {string} [uploadDirectory] Directory files from `multipart/form-data` bodies are written to
+ * @prop {boolean} [raw] Resolve with the body as a `Buffer`, without parsing it
+ */
+
+/**
+ * @typedef {object} UploadedFile
+ * @prop {string} filename The name of the file on the client's machine
+ * @prop {string} mimeType
+ * @prop {string} path Where the file was written to (it's up to you to move or delete it)
+ * @prop {number} size Size in bytes
+ */
+
+const MAX_HEADER_SIZE = 16 * 1024;
+
+module.exports = {
+
+	/**
+	 * Read and parse a request's body, based on its `Content-Type`:
+	 * - `application/json` is parsed with `JSON.parse` (malformed JSON is rejected with status `400`)
+	 * - `application/x-www-form-urlencoded` is parsed into an object
+	 * - `multipart/form-data` is parsed into an object, with files written to `uploadDirectory` (See `UploadedFile`)
+	 * - Anything else is read as a string
+	 *
+	 * Repeated field names are collected into arrays.
+	 * Form fields are put in objects without a prototype, so fields like `__proto__` are kept as they are.
+	 * Errors have a `status` property, so they can be thrown from an endpoint (See `Server.use`)
+	 * @param {import("..").ServerRequest} request
+	 * @param {BodyOptions} options
+	 * @returns {Promise<string|Buffer|object>}
+	 */
+	read(request, options) {
+		let contentType = request.headers["content-type"] ?? "text/plain";
+		let mime = contentType.split(";")[0].trim().toLowerCase();
+
+		if (mime == "multipart/form-data" && !options.raw) {
+			return readMultipart(request, contentType, options);
+		}
+
+		return readBuffer(request, options.limit).then((buffer) => {
+			if (options.raw) return buffer;
+
+			let text = buffer.toString("utf8");
+
+			if (mime == "application/json") {
+				if (text.trim() == "") return null;
+				try {
+					return JSON.parse(text);
+				} catch (error) {
+					throw httpError(400, "Malformed JSON body: "+error.message);
+				}
+			}
+
+			if (mime == "application/x-www-form-urlencoded") {
+				let fields = Object.create(null);
+				for (let [key, value] of new URLSearchParams(text)) {
+					addField(fields, key, value);
+				}
+				return fields;
+			}
+
+			return text;
+		});
+	}
+
+}
+
+/**
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error & { status:number }}
+ */
+function httpError(status, message) {
+	let error = new Error(message);
+	error.status = status;
+	return error;
+}
+
+/**
+ * Adds a value to an object, turning repeated keys into arrays
+ * @param {object} fields
+ * @param {string} key
+ * @param {any} value
+ */
+function addField(fields, key, value) {
+	if (Object.hasOwn(fields, key) == false) fields[key] = value;
+	else if (Array.isArray(fields[key])) fields[key].push(value);
+	else fields[key] = [fields[key], value];
+}
+
+/**
+ * Rejects early if the `Content-Length` header is already too large
+ * @param {import("..").ServerRequest} request
+ * @param {number} limit
+ * @returns {?Error}
+ */
+function checkContentLength(request, limit) {
+	let length = Number(request.headers["content-length"]);
+	if (Number.isFinite(length) && length > limit) {
+		request.resume(); // Discard the body
+		return httpError(413, `Body is larger than ${limit} bytes`);
+	}
+	return null;
+}
+
+/**
+ * @param {import("..").ServerRequest} request
+ * @param {number} limit
+ * @returns {Promise<Buffer>}
+ */
+function readBuffer(request, limit) {
+	return new Promise((resolve, reject) => {
+		let error = checkContentLength(request, limit);
+		if (error) {
+			reject(error);
+			return;
+		}
+
+		let chunks = [];
+		let size = 0;
+
+		const onData = (chunk) => {
+			size += chunk.length;
+			if (size > limit) {
+				cleanup();
+				request.resume();
+				reject(httpError(413, `Body is larger than ${limit} bytes`));
+				return;
+			}
+			chunks.push(chunk);
+		};
+		const onEnd = () => {
+			cleanup();
+			resolve(Buffer.concat(chunks));
+		};
+		const onError = (error) => {
+			cleanup();
+			reject(error);
+		};
+		const cleanup = () => {
+			request.removeListener("data", onData);
+			request.removeListener("end", onEnd);
+			request.removeListener("error", onError);
+		};
+
+		request.on("data", onData);
+		request.on("end", onEnd);
+		request.on("error", onError);
+	});
+}
+
+/**
+ * Streaming `multipart/form-data` parser
+ * @param {import("..").ServerRequest} request
+ * @param {string} contentType
+ * @param {BodyOptions} options
+ * @returns {Promise<Object<string, string|UploadedFile|(string|UploadedFile)[]>>}
+ */
+function readMultipart(request, contentType, options) {
+	return new Promise((resolve, reject) => {
+		let boundary = contentType.match(/boundary=(?:"([^"]+)"|([^;]+))/i);
+		if (!boundary) {
+			request.resume();
+			reject(httpError(400, "Multipart body has no boundary"));
+			return;
+		}
+		boundary = boundary[1] ?? boundary[2].trim();
+
+		let error = checkContentLength(request, options.uploadLimit);
+		if (error) {
+			reject(error);
+			return;
+		}
+
+		const delimiter = Buffer.from("\r\n--"+boundary);
+
+		let fields = Object.create(null);
+		let writtenFiles = [];
+		let pendingWrites = [];
+
+		// The leading CRLF lets the first boundary be found like every other one
+		let buffer = Buffer.from("\r\n");
+		let state = "preamble";
+		let size = 0;
+		let done = false;
+
+		/** @type {?{ name:string, file:?UploadedFile, stream:?fs.WriteStream, chunks:Buffer[], size:number }} */
+		let part = null;
+
+		const fail = (error) => {
+			if (done) return;
+			done = true;
+			request.removeListener("data", onData);
+			request.resume();
+			for (let file of writtenFiles) fs.rm(file.path, { force: true }, () => {});
+			part?.stream?.destroy();
+			reject(error);
+		};
+
+		const writePartData = (data) => {
+			if (data.length == 0) return;
+			if (part.stream) {
+				part.file.size += data.length;
+				if (part.stream.write(data) == false) {
+					request.pause();
+					part.stream.once("drain", () => request.resume());
+				}
+			} else {
+				part.size += data.length;
+				if (part.size > options.limit) throw httpError(413, `Field "${part.name}" is larger than ${options.limit} bytes`);
+				part.chunks.push(data);
+			}
+		};
+
+		const startPart = (headerText) => {
+			let headers = {};
+			for (let line of headerText.split("\r\n")) {
+				let index = line.indexOf(":");
+				if (index == -1) continue;
+				headers[line.slice(0, index).trim().toLowerCase()] = line.slice(index + 1).trim();
+			}
+
+			let disposition = headers["content-disposition"] ?? "";
+			let name = disposition.match(/\bname="([^"]*)"/i)?.[1];
+			let filename = disposition.match(/\bfilename="([^"]*)"/i)?.[1];
+
+			if (name == undefined) throw httpError(400, "Multipart part has no name");
+
+			part = { name, file: null, stream: null, chunks: [], size: 0 };
+
+			if (filename == undefined) return;
+
+			part.file = {
+				filename: path.basename(filename.replaceAll("\\", "/")),
+				mimeType: headers["content-type"] ?? "application/octet-stream",
+				path: path.join(options.uploadDirectory, "upload-"+crypto.randomUUID()),
+				size: 0
+			};
+			part.stream = fs.createWriteStream(part.file.path);
+			writtenFiles.push(part.file);
+
+			let stream = part.stream;
+			let write = new Promise((resolveWrite, rejectWrite) => {
+				stream.on("finish", resolveWrite);
+				stream.on("error", rejectWrite);
+			});
+			write.catch(fail); // Don't wait for the end of the body, EG: if `uploadDirectory` doesn't exist
+			pendingWrites.push(write);
+		};
+
+		const endPart = () => {
+			if (part.stream) {
+				part.stream.end();
+				addField(fields, part.name, part.file);
+			} else {
+				addField(fields, part.name, Buffer.concat(part.chunks).toString("utf8"));
+			}
+			part = null;
+		};
+
+		const parse = () => {
+			while (true) {
+				if (state == "preamble" || state == "body") {
+					let index = buffer.indexOf(delimiter);
+
+					if (index == -1) {
+						// Keep enough bytes to find a delimiter that is split across chunks
+						let safeLength = Math.max(0, buffer.length - delimiter.length + 1);
+						if (state == "body") writePartData(buffer.subarray(0, safeLength));
+						buffer = buffer.subarray(safeLength);
+						return;
+					}
+
+					if (state == "body") {
+						writePartData(buffer.subarray(0, index));
+						endPart();
+					}
+					buffer = buffer.subarray(index + delimiter.length);
+					state = "delimiter";
+
+				} else if (state == "delimiter") {
+					if (buffer.length < 2) return;
+
+					let next = buffer.subarray(0, 2).toString();
+					if (next == "--") {
+						state = "end";
+						return;
+					}
+					// Transport padding is allowed before the CRLF
+					let lineEnd = buffer.indexOf("\r\n");
+					if (lineEnd == -1) return;
+					buffer = buffer.subarray(lineEnd + 2);
+					state = "headers";
+
+				} else if (state == "headers") {
+					let index = buffer.indexOf("\r\n\r\n");
+					if (index == -1) {
+						if (buffer.length > MAX_HEADER_SIZE) throw httpError(400, "Multipart headers are too large");
+						return;
+					}
+					startPart(buffer.subarray(0, index).toString("utf8"));
+					buffer = buffer.subarray(index + 4);
+					state = "body";
+
+				} else return; // "end", ignore the epilogue
+			}
+		};
+
+		const onData = (chunk) => {
+			size += chunk.length;
+			if (size > options.uploadLimit) {
+				fail(httpError(413, `Body is larger than ${options.uploadLimit} bytes`));
+				return;
+			}
+
+			buffer = Buffer.concat([buffer, chunk]);
+			try {
+				parse();
+			} catch (error) {
+				fail(error);
+			}
+		};
+
+		request.on("data", onData);
+		request.on("error", fail);
+		request.on("end", () => {
+			if (done) return;
+			if (state != "end") {
+				fail(httpError(400, "Multipart body ended unexpectedly"));
+				return;
+			}
+			Promise.all(pendingWrites).then(() => {
+				done = true;
+				resolve(fields);
+			}, fail);
+		});
+	});
+}
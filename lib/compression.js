@@ -0,0 +1,202 @@
+const zlib = require("zlib");
+
+/**
+ * @typedef {object} CompressionOptions
+ * @prop {number} [threshold] Responses smaller than this many bytes aren't compressed (default `1024`)
+ * @prop {("br"|"gzip"|"deflate")[]} [encodings] Encodings to use, in order of preference (default `["br", "gzip", "deflate"]`)
+ * @prop {number} [level] zlib compression level for gzip and deflate
+ * @prop {number} [brotliQuality] Brotli quality, from 0 to 11 (default `4`, higher is much slower)
+ * @prop {boolean} [precompressed] Serve `.br`/`.gz` files next to the requested file, if they exist (default `true`, See `Server.flags.FILESYSTEM`)
+ */
+
+const DEFAULT_OPTIONS = {
+	threshold: 1024,
+	encodings: ["br", "gzip", "deflate"],
+	level: zlib.constants.Z_DEFAULT_COMPRESSION,
+	brotliQuality: 4,
+	precompressed: true
+};
+
+const WRAPPED = Symbol("compression:wrapped");
+
+module.exports = {
+
+	/**
+	 * @param {boolean|CompressionOptions} options
+	 * @returns {?Required<CompressionOptions>} `null` if compression is disabled
+	 */
+	resolveOptions(options) {
+		if (!options) return null;
+		return { ...DEFAULT_OPTIONS, ...(options === true ? {} : options) };
+	},
+
+	/**
+	 * Pick an encoding from an `Accept-Encoding` header
+	 * @param {?string} header
+	 * @param {string[]} encodings Supported encodings, in order of preference
+	 * @returns {?string} `null` if none of `encodings` are accepted
+	 */
+	negotiate(header, encodings) {
+		if (!header) return null;
+
+		let accepted = {};
+		for (let part of header.split(",")) {
+			let [name, ...params] = part.trim().toLowerCase().split(";");
+			let quality = 1;
+			for (let param of params) {
+				let match = param.trim().match(/^q=([\d.]+)$/);
+				if (match) quality = Number(match[1]);
+			}
+			if (name) accepted[name] = quality;
+		}
+
+		let best = null;
+		for (let encoding of encodings) {
+			let quality = accepted[encoding] ?? accepted["*"] ?? 0;
+			if (quality <= 0) continue;
+			if (best == null || quality > best.quality) best = { encoding, quality };
+		}
+		return best?.encoding ?? null;
+	},
+
+	/**
+	 * Check if a `Content-Type` is text-like, and worth compressing
+	 * @param {?string} contentType
+	 * @returns {boolean}
+	 */
+	isCompressible(contentType) {
+		if (!contentType) return false;
+		let mime = contentType.split(";")[0].trim().toLowerCase();
+		return /^text\/|[+/](json|xml|javascript|ecmascript)$|^image\/svg\+xml$|^application\/(wasm|x-javascript|manifest\+json)$/.test(mime);
+	},
+
+	/**
+	 * Add an encoding to a response's `Vary` header
+	 * @param {import("..").ServerResult} result
+	 */
+	vary(result) {
+		let vary = result.getHeader("Vary");
+		if (!vary) result.setHeader("Vary", "Accept-Encoding");
+		else if (/(^|,)\s*(accept-encoding|\*)\s*(,|$)/i.test(vary.toString()) == false) result.setHeader("Vary", vary+", Accept-Encoding");
+	},
+
+	/**
+	 * Create middleware that compresses responses (See `Server.use`)
+	 * @param {Required<CompressionOptions>} options
+	 * @returns {import("..").ServerMiddlewareFunction}
+	 */
+	middleware(options) {
+		return (request, result, next) => {
+			if (result[WRAPPED]) { // Already compressed by a parent server
+				next();
+				return;
+			}
+			result[WRAPPED] = true;
+			wrap(request, result, options);
+			next();
+		};
+	}
+
+}
+
+/**
+ * Patches a response, so the body is compressed once the headers are known
+ * @param {import("..").ServerRequest} request
+ * @param {import("..").ServerResult} result
+ * @param {Required<CompressionOptions>} options
+ */
+function wrap(request, result, options) {
+	const writeHead = result.writeHead;
+	const write = result.write;
+	const end = result.end;
+
+	/** @type {?zlib.Gzip|zlib.Deflate|zlib.BrotliCompress} */
+	let compressor = null;
+
+	// Headers are only sent on the first write, so the body's size can still be checked
+	result.writeHead = function(statusCode, reason, headers) {
+		if (typeof reason != "string") {
+			headers = reason;
+			reason = undefined;
+		}
+		this.statusCode = statusCode;
+		if (reason) this.statusMessage = reason;
+
+		if (Array.isArray(headers)) {
+			for (let i = 0; i < headers.length; i += 2) this.setHeader(headers[i], headers[i + 1]);
+		} else if (headers) {
+			for (let name in headers) this.setHeader(name, headers[name]);
+		}
+		return this;
+	};
+
+	/**
+	 * @param {?number} length Size of the body, if it is known
+	 */
+	const start = (length) => {
+		result.writeHead = writeHead;
+		result.write = write;
+		result.end = end;
+
+		let contentType = result.getHeader("Content-Type")?.toString();
+		if (module.exports.isCompressible(contentType) == false) return;
+
+		module.exports.vary(result);
+
+		let encoding = module.exports.negotiate(request.headers["accept-encoding"], options.encodings);
+		let contentLength = Number(result.getHeader("Content-Length") ?? length ?? NaN);
+
+		if (
+			encoding == null ||
+			request.method == "HEAD" ||
+			[204, 206, 304].includes(result.statusCode) ||
+			result.hasHeader("Content-Encoding") ||
+			/\bno-transform\b/.test(result.getHeader("Cache-Control") ?? "") ||
+			contentLength < options.threshold
+		) return;
+
+		if (encoding == "br") {
+			compressor = zlib.createBrotliCompress({ params: {
+				[zlib.constants.BROTLI_PARAM_QUALITY]: options.brotliQuality,
+				...(Number.isFinite(contentLength) ? { [zlib.constants.BROTLI_PARAM_SIZE_HINT]: contentLength } : {})
+			} });
+		} else if (encoding == "gzip") {
+			compressor = zlib.createGzip({ level: options.level });
+		} else {
+			compressor = zlib.createDeflate({ level: options.level });
+		}
+
+		result.removeHeader("Content-Length");
+		result.setHeader("Content-Encoding", encoding);
+
+		compressor.on("data", (chunk) => {
+			if (write.call(result, chunk) == false) compressor.pause();
+		});
+		compressor.on("end", () => end.call(result));
+		compressor.on("error", (error) => result.destroy(error));
+		compressor.on("drain", () => result.emit("drain"));
+		result.on("drain", () => compressor.resume());
+		result.on("close", () => compressor.destroy());
+
+		result.write = (chunk, encoding, callback) => compressor.write(chunk, encoding, callback);
+		result.end = (chunk, encoding, callback) => {
+			if (typeof chunk == "function") [callback, chunk] = [chunk, undefined];
+			if (typeof encoding == "function") [callback, encoding] = [encoding, undefined];
+			if (callback) result.once("finish", callback);
+			if (chunk != null) compressor.end(chunk, encoding);
+			else compressor.end();
+			return result;
+		};
+	};
+
+	result.write = function(chunk, encoding, callback) {
+		start(null);
+		return this.write(chunk, encoding, callback);
+	};
+
+	result.end = function(chunk, encoding, callback) {
+		let length = typeof chunk == "function" || chunk == null ? 0 : Buffer.byteLength(chunk, typeof encoding == "string" ? encoding : undefined);
+		start(length);
+		return this.end(chunk, encoding, callback);
+	};
+}
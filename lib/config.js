@@ -0,0 +1,156 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {object} ServerConfig
+ * Any of `ServerInitOptions`, plus:
+ * @prop {string} [root] Serve the files in this directory (See `Server.flags.FILESYSTEM`)
+ * @prop {boolean|string} [fallback] File to send to browsers asking for pages that don't exist, `true` for `"/index.html"` (See `CustomData.fallback`)
+ * @prop {boolean|import("./listing.js").DirectoryListingOptions} [listing] List the contents of directories without an index file
+ * @prop {string[]} [flags] Names of `Server.flags`, like `["HIDESTATUSLOGS"]`
+ * @prop {Object<string, string|import("./proxy.js").ProxyOptions>} [proxies] Paths to forward to other services, like `{ "/api": "http://localhost:3000" }` (See `Server.proxy`)
+ * @prop {Object<string, string|ServerConfig>} [subdomains] Subdomains by name, like `"api"` or `"*.app"`. A URL proxies the subdomain, any other string serves that directory
+ * @prop {Object<string, string|ServerConfig>} [hosts] Like `subdomains`, but by whole hostname, like `"example.test"`
+ */
+
+/**
+ * @typedef {object} Config
+ * @prop {ServerConfig[]} servers Each listens on its own port
+ */
+
+module.exports = {
+
+	/**
+	 * Read a config file
+	 * @param {string} file `.json`, or a `.js` file exporting the config
+	 * @returns {Config}
+	 * @throws {Error} If the file can't be read or parsed
+	 */
+	load(file) {
+		file = path.resolve(file);
+
+		let config;
+		if (path.extname(file) == ".json") {
+			try {
+				config = JSON.parse(fs.readFileSync(file, "utf8"));
+			} catch (error) {
+				throw new Error(`Cannot read config "${file}": ${error.message}`);
+			}
+		} else {
+			config = require(file);
+		}
+
+		return module.exports.normalize(config);
+	},
+
+	/**
+	 * @param {Config|ServerConfig|ServerConfig[]} config A single server, or a list of them, can be used instead of `{ servers }`
+	 * @returns {Config}
+	 * @throws {TypeError} If there are no servers
+	 */
+	normalize(config) {
+		if (Array.isArray(config)) config = { servers: config };
+		else if (config && !("servers" in config)) config = { servers: [config] };
+
+		if (!Array.isArray(config?.servers) || config.servers.length == 0) {
+			throw new TypeError("Config needs at least one server");
+		}
+		return config;
+	},
+
+	/**
+	 * Create the servers in a config, without opening them
+	 * @param {Config} config
+	 * @param {string} [directory] Relative paths (`root`, `tls` files, log files) are resolved from here, default the current working directory
+	 * @returns {import("../index.js")[]}
+	 * @throws {TypeError} If a server uses an unknown flag
+	 */
+	createServers(config, directory = ".") {
+		const Server = require("../index.js");
+
+		return module.exports.normalize(config).servers.map((entry) => {
+			let { options, children } = resolveServer(entry, directory);
+			let server = new Server(options);
+			addChildren(server, children, directory);
+			return server;
+		});
+	}
+
+}
+
+/**
+ * Turn a server config into `ServerInitOptions`
+ * @param {string|ServerConfig} entry
+ * @param {string} directory
+ * @returns {{ options:import("../index.js").ServerInitOptions, children:Pick<ServerConfig, "proxies"|"subdomains"|"hosts"> }}
+ */
+function resolveServer(entry, directory) {
+	const Server = require("../index.js");
+
+	if (typeof entry == "string") entry = /^https?:\/\//.test(entry) ? { proxy: entry } : { root: entry };
+
+	let { root, fallback, listing, flags, proxies, subdomains, hosts, ...options } = entry;
+
+	options.flags = (flags ?? []).map((name) => {
+		if (name.startsWith("_") || !(name in Server.flags)) throw new TypeError(`Unknown flag "${name}", use one of: ${Object.keys(Server.flags).filter(name => !name.startsWith("_")).join(", ")}`);
+		return Server.flags[name];
+	});
+
+	options.customData = { ...options.customData };
+	if (root != null) {
+		options.flags.push(Server.flags.FILESYSTEM);
+		// `rootDirectory` is always relative to the working directory (See `files.resolveRoot`)
+		options.customData.rootDirectory = path.relative(process.cwd(), path.resolve(directory, root)) || ".";
+	}
+	if (fallback) options.customData.fallback = fallback === true ? "/index.html" : fallback;
+	if (listing) options.customData.directoryListing = listing;
+
+	if (options.tls) {
+		options.tls = {
+			...options.tls,
+			key: resolvePEM(options.tls.key, directory),
+			cert: resolvePEM(options.tls.cert, directory)
+		};
+		if (options.tls.ca) options.tls.ca = [].concat(options.tls.ca).map(ca => resolvePEM(ca, directory));
+	}
+
+	if (options.logging?.transport) {
+		options.logging = {
+			...options.logging,
+			transport: [].concat(options.logging.transport).map((transport) => {
+				return transport?.file ? { ...transport, file: path.resolve(directory, transport.file) } : transport;
+			})
+		};
+	}
+
+	return { options, children: { proxies, subdomains, hosts } };
+}
+
+/**
+ * @param {import("../index.js")} server
+ * @param {Pick<ServerConfig, "proxies"|"subdomains"|"hosts">} children
+ * @param {string} directory
+ */
+function addChildren(server, children, directory) {
+	for (let [prefix, target] of Object.entries(children.proxies ?? {})) {
+		server.proxy(prefix, target);
+	}
+
+	for (let [key, entries] of [["domain", children.subdomains], ["hostname", children.hosts]]) {
+		for (let [name, entry] of Object.entries(entries ?? {})) {
+			let resolved = resolveServer(entry, directory);
+			let subdomain = server.subdomain({ ...resolved.options, [key]: name });
+			if (subdomain) addChildren(subdomain, resolved.children, directory);
+		}
+	}
+}
+
+/**
+ * @param {string|Buffer} value PEM, or a path to a PEM file
+ * @param {string} directory
+ * @returns {string|Buffer}
+ */
+function resolvePEM(value, directory) {
+	if (typeof value != "string" || value.includes("-----BEGIN")) return value;
+	return path.resolve(directory, value);
+}
@@ -1,38 +1,242 @@
+const crypto = require("crypto");
+
+/**
+ * @typedef {object} CookieOptions
+ * @prop {Date|number|string} [expires] When the cookie expires, as a `Date`, a timestamp or a date string
+ * @prop {number} [maxAge] Seconds until the cookie expires, takes priority over `expires` in browsers
+ * @prop {string} [path] Only send the cookie for URLs under this path, like `"/"` for the whole site. Browsers default to the directory of the URL that set it
+ * @prop {string} [domain] Send the cookie to this domain and all of its subdomains, EG: `"example.com"` for `api.example.com` too
+ * @prop {boolean} [secure] Only send the cookie over HTTPS
+ * @prop {boolean} [httpOnly] Hide the cookie from `document.cookie`
+ * @prop {"Strict"|"Lax"|"None"} [sameSite] `"None"` needs `secure`
+ * @prop {boolean} [partitioned] Keep a separate cookie jar per top-level site ([CHIPS](https://developer.mozilla.org/en-US/docs/Web/Privacy/Privacy_sandbox/Partitioned_cookies)), needs `secure`
+ * @prop {boolean} [signed] Add an HMAC signature, using `secret` or `Server.cookie.secrets`
+ * @prop {string|string[]} [secret] Overrides `Server.cookie.secrets`
+ * @prop {(value:string)=>string} [encode] Default `encodeURIComponent`, read it back with the matching `decode` (See `CookieReadOptions`)
+ */
+
+/**
+ * @typedef {object} CookieReadOptions
+ * @prop {boolean} [signed] Only return the value if its signature is valid
+ * @prop {string|string[]} [secret] Overrides `Server.cookie.secrets`
+ * @prop {(value:string)=>string} [decode] Reverses `CookieOptions.encode`, default `decodeURIComponent`
+ */
+
+const TOKEN = /^[!#$%&'*+\-.^_`|~\w]+$/;
+const VALUE = /^[\x21\x23-\x2b\x2d-\x3a\x3c-\x5b\x5d-\x7e]*$/; // cookie-octet from RFC 6265
+const DOMAIN = /^\.?[a-z0-9]([a-z0-9-]*[a-z0-9])?(\.[a-z0-9]([a-z0-9-]*[a-z0-9])?)*$/i;
+const PATH = /^[\x20-\x3a\x3c-\x7e]*$/;
+const SAME_SITE = { strict: "Strict", lax: "Lax", none: "None" };
+
 module.exports = {
 
 	/**
-	 * Extract cookies from a client request
-	 * @param {import("..").ServerRequest} request 
+	 * Secrets used for signed cookies. New cookies are signed with the first one,
+	 * and cookies signed with any of them are accepted, so old secrets can be phased out.
+	 * @type {string[]}
+	 */
+	secrets: [],
+
+	/**
+	 * Parse a `Cookie` header. If a name is sent more than once, the first value is used.
+	 * @param {?string} header
+	 * @param {Pick<CookieReadOptions, "decode">} [options]
 	 * @returns {Object<string, string>}
 	 */
-	getAll(request) {
+	parse(header, options) {
+		let decode = options?.decode ?? decodeURIComponent;
 		let list = {};
-		if (!request.headers?.cookie) return list;
+		if (!header) return list;
+
+		for (let cookie of header.split(";")) {
+			let index = cookie.indexOf("=");
+			if (index == -1) continue;
 
-		let cookieParts = request.headers.cookie.split(";");
+			let name = cookie.slice(0, index).trim();
+			let value = cookie.slice(index + 1).trim();
+			if (!name || Object.hasOwn(list, name)) continue;
 
-		for (let cookie of cookieParts) {
-			let parts = cookie.split(/\s*?(\S+?)\s*=\s*(.*?)\s*$/);
-			let name = parts[1];
-			let value = parts[2];
-			if (!value) continue;
-			list[name] = decodeURIComponent(value);
+			if (value.length >= 2 && value.startsWith("\"") && value.endsWith("\"")) value = value.slice(1, -1);
+
+			try {
+				list[name] = decode(value);
+			} catch (error) {
+				list[name] = value; // Not encoded by us
+			}
 		}
 
 		return list;
 	},
 
+	/**
+	 * Extract cookies from a client request
+	 * @param {import("..").ServerRequest} request
+	 * @param {Pick<CookieReadOptions, "decode">} [options]
+	 * @returns {Object<string, string>}
+	 */
+	getAll(request, options) {
+		return module.exports.parse(request.headers?.cookie, options);
+	},
+
+	/**
+	 * Get a single cookie from a client request
+	 * @param {import("..").ServerRequest} request
+	 * @param {string} key
+	 * @param {CookieReadOptions} [options]
+	 * @returns {?string} `null` if the cookie is missing, or isn't correctly signed
+	 */
+	get(request, key, options) {
+		let value = module.exports.getAll(request, options)[key];
+		if (value == undefined) return null;
+		if (!options?.signed) return value;
+
+		let unsigned = module.exports.unsign(key, value, options.secret);
+		return unsigned === false ? null : unsigned;
+	},
+
 	/**
 	 * Set a cookie on a client result
 	 * @param {string} key
 	 * @param {string} value
 	 * @param {import("..").ServerResult} result
+	 * @param {CookieOptions} [options]
 	 */
-	set(key, value, result) {
+	set(key, value, result, options = {}) {
+		value = String(value);
+		if (options.signed) value = module.exports.sign(key, value, options.secret);
+
 		let existingCookies = result.getHeader("Set-Cookie") ?? [];
+		if (Array.isArray(existingCookies) == false) existingCookies = [existingCookies];
+
+		existingCookies.push(module.exports.serialize(key, value, options));
+		result.setHeader("Set-Cookie", existingCookies);
+	},
+
+	/**
+	 * Remove a cookie from the client. `path` and `domain` must match the ones it was set with.
+	 * @param {string} key
+	 * @param {import("..").ServerResult} result
+	 * @param {Pick<CookieOptions, "path"|"domain"|"secure"|"httpOnly"|"sameSite"|"partitioned">} [options]
+	 */
+	clear(key, result, options = {}) {
+		module.exports.set(key, "", result, {
+			path: options.path,
+			domain: options.domain,
+			secure: options.secure,
+			httpOnly: options.httpOnly,
+			sameSite: options.sameSite,
+			partitioned: options.partitioned,
+			expires: new Date(0),
+			maxAge: 0
+		});
+	},
+
+	/**
+	 * Create a `Set-Cookie` header value
+	 * @param {string} key
+	 * @param {string} value
+	 * @param {CookieOptions} [options]
+	 * @returns {string}
+	 */
+	serialize(key, value, options = {}) {
+		if (TOKEN.test(key) == false) throw new TypeError(`Invalid cookie name: "${key}"`);
+
+		let encoded = (options.encode ?? encodeURIComponent)(String(value));
+		if (VALUE.test(encoded) == false) throw new TypeError(`Invalid value for cookie "${key}"`);
+
+		let cookie = key+"="+encoded;
+
+		if (options.maxAge != undefined) {
+			if (Number.isFinite(options.maxAge) == false) throw new TypeError(`Invalid maxAge for cookie "${key}"`);
+			cookie += "; Max-Age="+Math.floor(options.maxAge);
+		}
+
+		if (options.expires != undefined) {
+			let expires = options.expires instanceof Date ? options.expires : new Date(options.expires);
+			if (isNaN(expires.getTime())) throw new TypeError(`Invalid expires for cookie "${key}"`);
+			cookie += "; Expires="+expires.toUTCString();
+		}
+
+		if (options.domain) {
+			if (DOMAIN.test(options.domain) == false) throw new TypeError(`Invalid domain for cookie "${key}": "${options.domain}"`);
+			cookie += "; Domain="+options.domain.replace(/^\./, "");
+		}
+
+		if (options.path != undefined) {
+			if (PATH.test(options.path) == false) throw new TypeError(`Invalid path for cookie "${key}": "${options.path}"`);
+			cookie += "; Path="+options.path;
+		}
+
+		if (options.sameSite) {
+			let sameSite = SAME_SITE[String(options.sameSite).toLowerCase()];
+			if (!sameSite) throw new TypeError(`Invalid sameSite for cookie "${key}", expected "Strict", "Lax" or "None"`);
+			if (sameSite == "None" && !options.secure) throw new TypeError(`Cookie "${key}" needs secure to use sameSite "None"`);
+			cookie += "; SameSite="+sameSite;
+		}
+
+		if (options.partitioned && !options.secure) throw new TypeError(`Cookie "${key}" needs secure to be partitioned`);
+
+		if (options.secure) cookie += "; Secure";
+		if (options.httpOnly) cookie += "; HttpOnly";
+		if (options.partitioned) cookie += "; Partitioned";
+
+		return cookie;
+	},
 
-		existingCookies.push(key+"="+value);
-		result.setHeader("Set-Cookie", existingCookies); 	
+	/**
+	 * Add an HMAC-SHA256 signature to a value, which also covers the cookie name
+	 * @param {string} key
+	 * @param {string} value
+	 * @param {string|string[]} [secret] Default `Server.cookie.secrets`
+	 * @returns {string} `<value>.<signature>`
+	 */
+	sign(key, value, secret) {
+		let secrets = getSecrets(secret);
+		return value+"."+signature(key, value, secrets[0]);
+	},
+
+	/**
+	 * Check and remove the signature added by `sign`
+	 * @param {string} key
+	 * @param {string} signedValue
+	 * @param {string|string[]} [secret] Default `Server.cookie.secrets`
+	 * @returns {string|false} `false` if the signature doesn't match any of the secrets
+	 */
+	unsign(key, signedValue, secret) {
+		let secrets = getSecrets(secret);
+
+		let index = signedValue.lastIndexOf(".");
+		if (index == -1) return false;
+
+		let value = signedValue.slice(0, index);
+		let given = Buffer.from(signedValue.slice(index + 1));
+
+		for (let secret of secrets) {
+			let expected = Buffer.from(signature(key, value, secret));
+			if (given.length == expected.length && crypto.timingSafeEqual(given, expected)) return value;
+		}
+
+		return false;
 	}
 
-}
\ No newline at end of file
+}
+
+/**
+ * @param {string|string[]} [secret]
+ * @returns {string[]}
+ */
+function getSecrets(secret) {
+	let secrets = [secret ?? module.exports.secrets].flat().filter(Boolean);
+	if (secrets.length == 0) throw new Error("Signed cookies need a secret, set Server.cookie.secrets or pass { secret }");
+	return secrets;
+}
+
+/**
+ * @param {string} key
+ * @param {string} value
+ * @param {string} secret
+ * @returns {string} base64url
+ */
+function signature(key, value, secret) {
+	return crypto.createHmac("sha256", secret).update(key+"="+value).digest("base64url");
+}
@@ -0,0 +1,128 @@
+/**
+ * @typedef {string|RegExp|(string|RegExp)[]|((origin:string, request:import("..").ServerRequest)=>boolean)} CorsOrigin
+ */
+
+/**
+ * @typedef {object} CorsOptions
+ * @prop {CorsOrigin} [origin] Origins that can make requests, like `"https://example.com"` or `/\.example\.com$/` (default `"*"`, any origin)
+ * @prop {import("..").HTTPMethod[]} [methods] Methods allowed in preflights (default: the methods of the endpoint)
+ * @prop {string[]} [allowedHeaders] Request headers allowed in preflights (default: whichever headers are asked for)
+ * @prop {string[]} [exposedHeaders] Response headers that scripts can read, besides the [safelisted ones](https://developer.mozilla.org/en-US/docs/Glossary/CORS-safelisted_response_header)
+ * @prop {boolean} [credentials] Allow cookies and authorization headers (default `false`)
+ * @prop {number} [maxAge] Seconds that browsers can cache a preflight for
+ */
+
+/** @type {import("..").HTTPMethod[]} */
+const DEFAULT_METHODS = ["GET", "HEAD", "POST", "PUT", "PATCH", "DELETE"];
+
+module.exports = {
+
+	/**
+	 * @param {?boolean|CorsOptions} options
+	 * @returns {?CorsOptions|false} `null` if not set, `false` if turned off
+	 */
+	resolveOptions(options) {
+		if (options == undefined) return null;
+		if (options === false) return false;
+		if (options === true) options = {};
+		return { origin: "*", ...options };
+	},
+
+	/**
+	 * @param {?string} origin Value of the `Origin` header
+	 * @param {CorsOptions} options
+	 * @param {import("..").ServerRequest} request
+	 * @returns {boolean}
+	 */
+	allowsOrigin(origin, options, request) {
+		if (!origin) return false;
+		if (options.origin == "*") return true;
+		if (typeof options.origin == "function") return options.origin(origin, request) == true;
+
+		return [options.origin].flat().some((allowed) => {
+			if (allowed instanceof RegExp) return allowed.test(origin);
+			return allowed == "*" || allowed.replace(/\/$/, "").toLowerCase() == origin.toLowerCase();
+		});
+	},
+
+	/**
+	 * Add CORS headers to a normal (not preflight) response
+	 * @param {CorsOptions} options
+	 * @param {import("..").ServerRequest} request
+	 * @param {import("..").ServerResult} result
+	 * @returns {boolean} If the origin is allowed
+	 */
+	apply(options, request, result) {
+		if (allowOrigin(options, request, result) == false) return false;
+
+		if (options.exposedHeaders?.length) result.setHeader("Access-Control-Expose-Headers", options.exposedHeaders.join(", "));
+		return true;
+	},
+
+	/**
+	 * Answer a preflight request with `204 No Content`. Headers are left out when the origin isn't allowed, so the browser blocks the request.
+	 * @param {?CorsOptions} options
+	 * @param {import("..").ServerRequest} request
+	 * @param {import("..").ServerResult} result
+	 * @param {?string[]} allow Methods the path can be requested with, `null` for any method
+	 */
+	preflight(options, request, result, allow) {
+		if (allow) result.setHeader("Allow", allow.join(", "));
+
+		if (options && allowOrigin(options, request, result)) {
+			let methods = options.methods ?? allow ?? DEFAULT_METHODS;
+			result.setHeader("Access-Control-Allow-Methods", methods.map(method => method.toUpperCase()).join(", "));
+
+			let requestedHeaders = request.headers["access-control-request-headers"];
+			if (options.allowedHeaders) result.setHeader("Access-Control-Allow-Headers", options.allowedHeaders.join(", "));
+			else if (requestedHeaders) {
+				result.setHeader("Access-Control-Allow-Headers", requestedHeaders);
+				vary(result, "Access-Control-Request-Headers");
+			}
+
+			if (options.maxAge != undefined) result.setHeader("Access-Control-Max-Age", String(Math.floor(options.maxAge)));
+		}
+
+		result.setHeader("Content-Length", 0);
+		result.writeHead(204);
+		result.end();
+	},
+
+	/**
+	 * @param {import("..").ServerRequest} request
+	 * @returns {boolean} If the request is a CORS preflight
+	 */
+	isPreflight(request) {
+		return request.method == "OPTIONS" && !!request.headers.origin && !!request.headers["access-control-request-method"];
+	}
+
+}
+
+/**
+ * Set `Access-Control-Allow-Origin` and `Access-Control-Allow-Credentials`
+ * @param {CorsOptions} options
+ * @param {import("..").ServerRequest} request
+ * @param {import("..").ServerResult} result
+ * @returns {boolean} If the origin is allowed
+ */
+function allowOrigin(options, request, result) {
+	let origin = request.headers.origin;
+
+	if (options.origin != "*" || options.credentials) vary(result, "Origin");
+	if (module.exports.allowsOrigin(origin, options, request) == false) return false;
+
+	// Credentials can't be used with "*", so the origin is sent back instead
+	result.setHeader("Access-Control-Allow-Origin", options.origin == "*" && !options.credentials ? "*" : origin);
+	if (options.credentials) result.setHeader("Access-Control-Allow-Credentials", "true");
+	return true;
+}
+
+/**
+ * @param {import("..").ServerResult} result
+ * @param {string} field
+ */
+function vary(result, field) {
+	let vary = result.getHeader("Vary");
+	if (!vary) result.setHeader("Vary", field);
+	else if (new RegExp(`(^|,)\\s*(${field}|\\*)\\s*(,|$)`, "i").test(vary.toString()) == false) result.setHeader("Vary", vary+", "+field);
+}
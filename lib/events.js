@@ -0,0 +1,289 @@
+const Server = require("../index.js");
+
+/**
+ * @typedef {object} EventStreamOptions
+ * @prop {number} [bufferSize] How many sent events to keep, for clients reconnecting with `Last-Event-ID` (default `100`, `0` turns replays off)
+ * @prop {number} [heartbeat] Milliseconds between comments that keep idle connections open (default `15000`, `0` turns them off)
+ * @prop {number} [retry] Milliseconds browsers should wait before reconnecting, sent to each new client
+ */
+
+/**
+ * @typedef {object} EventOptions
+ * @prop {string} [event] Event name, for `EventSource.addEventListener`. Without one, the browser fires `message`
+ * @prop {string|number} [id] Defaults to a number counting up, which browsers send back as `Last-Event-ID` when reconnecting
+ * @prop {number} [retry] Milliseconds browsers should wait before reconnecting
+ */
+
+/**
+ * @typedef {object} EventStreamListener
+ * @prop {"connection"|"close"} eventName
+ * @prop {(client:EventClient, request?:import('..').ServerRequest)=>void} callback
+ */
+
+class EventClient {
+	/** @type {number} */
+	id;
+
+	/** @type {import('..').ServerRequest} */
+	request;
+
+	/** @type {import('..').ServerResult} */
+	result;
+
+	/** @type {?string} The `Last-Event-ID` the client reconnected with */
+	lastEventId;
+
+	/**
+	 * @param {number} id
+	 * @param {import('..').ServerRequest} request
+	 * @param {import('..').ServerResult} result
+	 */
+	constructor(id, request, result) {
+		this.id = id;
+		this.request = request;
+		this.result = result;
+		this.lastEventId = request.headers["last-event-id"] ?? new URL(request.url, "http://localhost").searchParams.get("lastEventId");
+	}
+
+	get ip() {
+		return Server.getIP(this.request);
+	}
+
+	/**
+	 * Send an event to only this client. Unlike `EventStream.broadcast`, it isn't replayed to reconnecting clients.
+	 * @param {any} data Strings are sent as they are, anything else as JSON
+	 * @param {EventOptions} [options]
+	 */
+	send(data, options) {
+		this.write(format(data, options));
+	}
+
+	/**
+	 * @param {string} text Already formatted event
+	 */
+	write(text) {
+		if (this.result.writableEnded || this.result.destroyed) return;
+		this.result.write(text);
+	}
+
+	/** End the connection. Browsers will reconnect, unless the stream responds with `204`. */
+	close() {
+		if (this.result.writableEnded == false) this.result.end();
+	}
+}
+
+class EventStream {
+	/** @type {Server} */
+	#parentServer;
+	endpoint = "/events";
+
+	/** @type {Required<Omit<EventStreamOptions, "retry">> & { retry?:number }} */
+	options;
+
+	/** @type {Set<EventClient>} */
+	clients = new Set();
+
+	/** @type {{ id:string, text:string }[]} Recent events, for `Last-Event-ID` */
+	#buffer = [];
+	#nextEventId = 1;
+	#nextClientId = 1;
+
+	/** @type {?NodeJS.Timeout} */
+	#heartbeat = null;
+
+	/** @type {EventStreamListener[]} */
+	#eventListeners = [];
+
+	/**
+	 * @param {Server} server
+	 * @param {string} path
+	 * @param {EventStreamOptions} [options]
+	 */
+	constructor(server, path, options) {
+		this.endpoint = path;
+		this.#parentServer = server;
+		this.options = {
+			bufferSize: options?.bufferSize ?? 100,
+			heartbeat: options?.heartbeat ?? 15000,
+			retry: options?.retry
+		};
+
+		server.endpoint(path, (request, result) => this.#connect(request, result), "GET");
+		server._streams.add(this);
+	}
+
+	listen = {
+		/**
+		 * @param {(client:EventClient, request:import('..').ServerRequest)=>void} callback
+		 */
+		connection: (callback) => {
+			this.#eventListeners.push({ eventName: "connection", callback });
+		},
+
+		/**
+		 * @param {(client:EventClient)=>void} callback
+		 */
+		close: (callback) => {
+			this.#eventListeners.push({ eventName: "close", callback });
+		},
+
+		/**
+		 * @param {"connection"|"close"} eventType
+		 * @param {(...data)=>void} callback
+		 */
+		removeListener: (eventType, callback) => {
+			let index = this.#eventListeners.findIndex(listener => listener.eventName == eventType && listener.callback == callback);
+			if (index != -1) this.#eventListeners.splice(index, 1);
+		}
+	}
+
+	/**
+	 * Send an event to every client, or the clients that `filter` returns `true` for.
+	 * The event is kept for clients that reconnect with `Last-Event-ID`.
+	 * @param {any} data Strings are sent as they are, anything else as JSON
+	 * @param {EventOptions & { filter?:(client:EventClient)=>boolean }} [options]
+	 * @returns {string} The event's ID
+	 */
+	broadcast(data, options = {}) {
+		let id = String(options.id ?? this.#nextEventId ++);
+		let text = format(data, { ...options, id });
+
+		if (this.options.bufferSize > 0 && !options.filter) {
+			this.#buffer.push({ id, text });
+			if (this.#buffer.length > this.options.bufferSize) this.#buffer.shift();
+		}
+
+		for (let client of this.clients) {
+			if (options.filter && options.filter(client) != true) continue;
+			client.write(text);
+		}
+		return id;
+	}
+
+	/** End every connection. The main server does this when it closes (See `Server.close`) */
+	close() {
+		for (let client of this.clients) client.close();
+	}
+
+	/**
+	 * @param {import('..').ServerRequest} request
+	 * @param {import('..').ServerResult} result
+	 */
+	#connect(request, result) {
+		let headers = {
+			"Content-Type": "text/event-stream; charset=utf-8",
+			"Cache-Control": "no-cache, no-transform", // no-transform also stops compression, which would hold events back
+			"X-Accel-Buffering": "no" // Stop nginx from buffering
+		};
+		if (request.httpVersionMajor < 2) {
+			headers["Connection"] = "keep-alive";
+			request.socket.setKeepAlive(true);
+			request.socket.setTimeout(0);
+		}
+
+		result.writeHead(200, headers);
+		result.flushHeaders?.();
+
+		let client = new EventClient(this.#nextClientId ++, request, result);
+		this.clients.add(client);
+
+		if (this.options.retry != undefined) client.write(`retry: ${Math.floor(this.options.retry)}\n\n`);
+		else client.write(": connected\n\n");
+
+		this.#replay(client);
+		this.#startHeartbeat();
+
+		result.on("close", () => {
+			this.clients.delete(client);
+			if (this.clients.size == 0) this.#stopHeartbeat();
+			this.triggerEventListener("close", request, client);
+		});
+
+		this.triggerEventListener("connection", request, client, request);
+	}
+
+	/**
+	 * Send the events a reconnecting client missed
+	 * @param {EventClient} client
+	 */
+	#replay(client) {
+		if (client.lastEventId == null) return;
+
+		let index = this.#buffer.findIndex(event => event.id == client.lastEventId);
+		if (index == -1) return; // Too old, or from before a restart
+
+		for (let event of this.#buffer.slice(index + 1)) client.write(event.text);
+	}
+
+	#startHeartbeat() {
+		if (this.#heartbeat || this.options.heartbeat <= 0) return;
+		this.#heartbeat = setInterval(() => {
+			for (let client of this.clients) client.write(": heartbeat\n\n");
+		}, this.options.heartbeat);
+		this.#heartbeat.unref();
+	}
+
+	#stopHeartbeat() {
+		clearInterval(this.#heartbeat);
+		this.#heartbeat = null;
+	}
+
+	/**
+	 * @param {"connection"|"close"} eventName
+	 * @param {import('..').ServerRequest} request
+	 * @param {...any} data
+	 */
+	triggerEventListener(eventName, request, ...data) {
+
+		if (this.#parentServer.info.shouldLogFromRequest(request)) {
+			let message = this.#parentServer.info.logMessage(
+				this.#parentServer.info.getTemplate("events", eventName),
+				{
+					ip: Server.getIP(request),
+					url: this.endpoint,
+					event: eventName,
+					isError: false
+				});
+			console.log(message);
+		}
+
+		for (let listener of [...this.#eventListeners]) {
+			if (listener.eventName != eventName) continue;
+			try {
+				listener.callback(...data);
+			} catch (error) {
+				console.error(error);
+			}
+		}
+	}
+
+}
+
+/**
+ * Format an event for `text/event-stream`
+ * @param {any} data
+ * @param {EventOptions} [options]
+ * @returns {string}
+ */
+function format(data, options) {
+	let text = "";
+	if (options?.event) text += `event: ${singleLine(options.event)}\n`;
+	if (options?.id != undefined) text += `id: ${singleLine(String(options.id))}\n`;
+	if (options?.retry != undefined) text += `retry: ${Math.floor(options.retry)}\n`;
+
+	let body = typeof data == "string" ? data : JSON.stringify(data);
+	for (let line of String(body ?? "").split(/\r\n|\r|\n/)) text += `data: ${line}\n`;
+
+	return text+"\n";
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function singleLine(text) {
+	return text.replace(/[\r\n\0]/g, "");
+}
+
+module.exports = EventStream;
+module.exports.EventClient = EventClient;
@@ -0,0 +1,177 @@
+const fs = require("fs");
+const path = require("path");
+
+module.exports = {
+
+	/**
+	 * Resolve a root directory against the current working directory, including ones starting with `"/"` (`"/"` is the working directory itself, `"/dist"` is `./dist`)
+	 * @param {string} root
+	 * @returns {string} Absolute path
+	 */
+	resolveRoot(root) {
+		return path.resolve(process.cwd(), "./"+root);
+	},
+
+	/**
+	 * Resolve a path inside of a root directory. `".."` segments can't go above the root, and absolute paths are treated as relative to it
+	 * @param {string} root See `resolveRoot`
+	 * @param {string} filePath Decoded path, like `"/images/logo.png"`
+	 * @returns {?string} `null` if the path is invalid
+	 */
+	joinRoot(root, filePath) {
+		if (filePath.includes("\0")) return null;
+		return path.join(module.exports.resolveRoot(root), path.normalize("/"+filePath));
+	},
+
+	/**
+	 * Check that a file can be served from a root directory, following its real path
+	 * @param {string} root See `resolveRoot`
+	 * @param {string} pathname Absolute path inside of `root` (See `joinRoot`)
+	 * @param {{ dotfiles?:"allow"|"deny"|"ignore", symlinks?:"follow"|"refuse" }} options
+	 * @returns {200|403|404} HTTP status code
+	 */
+	checkAccess(root, pathname, options) {
+		root = module.exports.resolveRoot(root);
+
+		let realRoot, realPath;
+		try {
+			realRoot = fs.realpathSync(root);
+			realPath = fs.realpathSync(pathname);
+		} catch (error) {
+			return 404; // Not Found
+		}
+
+		let relativePath = path.relative(root, pathname);
+
+		if (isInside(realRoot, realPath) == false || isInside(root, pathname) == false) {
+			return 403; // Forbidden, escapes the root directory
+		}
+
+		if ((options.symlinks ?? "follow") == "refuse" && realPath != path.join(realRoot, relativePath)) {
+			return 403; // Forbidden, part of the path is a symlink
+		}
+
+		let dotfiles = options.dotfiles ?? "deny";
+		let segments = relativePath.split(path.sep);
+		if (segments[0] == ".well-known") segments.shift(); // RFC 8615, EG: ACME challenges and security.txt
+		if (dotfiles != "allow" && segments.some(segment => segment.startsWith("."))) {
+			return dotfiles == "ignore" ? 404 : 403;
+		}
+
+		return 200;
+	},
+
+	/**
+	 * Create a weak ETag from a file's size and modification time
+	 * @param {import("fs").Stats} stats
+	 * @returns {string}
+	 */
+	etag(stats) {
+		return `W/"${stats.size.toString(16)}-${Math.floor(stats.mtimeMs).toString(16)}"`;
+	},
+
+	/**
+	 * Check `If-None-Match` and `If-Modified-Since`, to see if the client's cached copy can be used (`304 Not Modified`)
+	 * @param {import("http").IncomingHttpHeaders} headers Request headers
+	 * @param {string} etag
+	 * @param {Date} lastModified
+	 * @returns {boolean}
+	 */
+	isFresh(headers, etag, lastModified) {
+		let noneMatch = headers["if-none-match"];
+		if (noneMatch) { // If-Modified-Since is ignored when If-None-Match is sent
+			if (noneMatch.trim() == "*") return true;
+			return noneMatch.split(",").some(tag => weakCompare(tag.trim(), etag));
+		}
+
+		let modifiedSince = Date.parse(headers["if-modified-since"]);
+		if (Number.isNaN(modifiedSince)) return false;
+
+		// HTTP dates only have second precision
+		return Math.floor(lastModified.getTime() / 1000) * 1000 <= modifiedSince;
+	},
+
+	/**
+	 * Parse a `Range` header
+	 * @param {import("http").IncomingHttpHeaders} headers Request headers
+	 * @param {number} size File size in bytes
+	 * @param {string} etag
+	 * @param {Date} lastModified
+	 * @returns {?{start:number, end:number}|false} `null` to send the whole file, or `false` if the range can't be satisfied (`416`)
+	 */
+	parseRange(headers, size, etag, lastModified) {
+		let range = headers["range"];
+		if (!range) return null;
+
+		let ifRange = headers["if-range"];
+		if (ifRange) { // Only send a range if the client's copy is still current
+			let current = ifRange.trim().startsWith("\"") || ifRange.trim().startsWith("W/")
+				? ifRange.trim() == etag && etag.startsWith("W/") == false
+				: Date.parse(ifRange) == Math.floor(lastModified.getTime() / 1000) * 1000;
+			if (!current) return null;
+		}
+
+		let match = range.match(/^\s*bytes\s*=\s*(\d*)\s*-\s*(\d*)\s*$/i);
+		if (!match) return null; // Multiple or unknown ranges, send the whole file instead
+
+		let start, end;
+		if (match[1] == "" && match[2] == "") return null;
+
+		if (match[1] == "") { // Suffix range, the last N bytes
+			let length = Number(match[2]);
+			if (length == 0) return false;
+			start = Math.max(0, size - length);
+			end = size - 1;
+		} else {
+			start = Number(match[1]);
+			end = match[2] == "" ? size - 1 : Math.min(Number(match[2]), size - 1);
+		}
+
+		if (start >= size || start > end) return false;
+
+		return { start, end };
+	},
+
+	/**
+	 * Find the `Cache-Control` value for a file
+	 * @param {Object<string, string>} rules Keys are extensions (`".css"`) or URL path prefixes (`"/assets/"`). Prefixes are checked first, longest to shortest
+	 * @param {string} filePath
+	 * @param {string} urlPath Pathname of the request
+	 * @returns {?string}
+	 */
+	cacheControl(rules, filePath, urlPath) {
+		if (!rules) return null;
+
+		let prefixes = Object.keys(rules).filter(key => key.startsWith("/")).sort((a, b) => b.length - a.length);
+		for (let prefix of prefixes) {
+			if (urlPath.startsWith(prefix)) return rules[prefix];
+		}
+
+		let extension = filePath.match(/\.([^/.]+)$/)?.[0];
+		if (extension && extension in rules) return rules[extension];
+
+		return rules["*"] ?? null;
+	}
+
+}
+
+/**
+ * @param {string} root
+ * @param {string} target
+ * @returns {boolean}
+ */
+function isInside(root, target) {
+	let relativePath = path.relative(root, target);
+	if (relativePath == ".." || relativePath.startsWith(".."+path.sep)) return false;
+	return path.isAbsolute(relativePath) == false;
+}
+
+/**
+ * Weak comparison of two ETags, see [RFC 9110 - Section 8.8.3.2](https://datatracker.ietf.org/doc/html/rfc9110#section-8.8.3.2)
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function weakCompare(a, b) {
+	return a.replace(/^W\//, "") == b.replace(/^W\//, "");
+}
@@ -0,0 +1,57 @@
+/** Hostname labels, or a bracketed IPv6 address */
+const HOSTNAME = /^(\[[0-9a-f:.]+\]|[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?(\.[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?)*)$/;
+
+module.exports = {
+
+	/**
+	 * Split a subdomain name or hostname pattern into labels
+	 * @param {string} name Like `"api"`, `"v1.api"`, `"*.app"` or `"example.test"`
+	 * @returns {string[]}
+	 * @throws {TypeError} If a label is empty, or has characters hostnames can't have
+	 */
+	parse(name) {
+		let labels = name.toLowerCase().replace(/\.$/, "").split(".");
+		for (let label of labels) {
+			if (label != "*" && /^[a-z0-9_]([a-z0-9_-]*[a-z0-9_])?$/.test(label) == false) {
+				throw new TypeError(`Invalid host name "${name}", labels can only be "*", or letters, numbers, "-" and "_"`);
+			}
+		}
+		return labels;
+	},
+
+	/**
+	 * Lowercase a `Host` header, and remove the port and trailing dot
+	 * @param {string} host
+	 * @returns {?string} `""` if there's no host, `null` if it isn't a valid hostname or IP address
+	 */
+	normalize(host) {
+		let hostname = host.trim().toLowerCase().replace(/:\d*$/, "").replace(/\.$/, "");
+		if (hostname == "") return "";
+		return HOSTNAME.test(hostname) ? hostname : null;
+	},
+
+	/**
+	 * @param {string[]} pattern Labels from `hosts.parse`
+	 * @param {string[]} labels Labels of the requested hostname
+	 * @returns {?string[]} The labels matched by each `"*"`, or `null` if the hostname doesn't match
+	 */
+	match(pattern, labels) {
+		if (pattern.length != labels.length) return null;
+
+		let wildcards = [];
+		for (let i = 0; i < pattern.length; i ++) {
+			if (pattern[i] == "*") wildcards.push(labels[i]);
+			else if (pattern[i] != labels[i]) return null;
+		}
+		return wildcards;
+	},
+
+	/**
+	 * @param {string[]} pattern
+	 * @returns {number} How many labels aren't wildcards, so `"api.localhost"` wins over `"*.localhost"`
+	 */
+	specificity(pattern) {
+		return pattern.filter(label => label != "*").length;
+	}
+
+}
@@ -0,0 +1,471 @@
+const http = require("http");
+const crypto = require("crypto");
+const stream = require("stream");
+const { EventEmitter } = require("events");
+
+/**
+ * @typedef {object} InjectOptions
+ * @prop {import("..").HTTPMethod} [method] Default `"GET"`
+ * @prop {string} [url] Path and query string, like `"/users?page=2"` (default `"/"`)
+ * @prop {Object<string, string|string[]>} [headers] `Host` defaults to the server's domain and port
+ * @prop {string|Buffer|object} [body] Objects are sent as JSON
+ * @prop {string} [remoteAddress] IP address the request comes from (default `"127.0.0.1"`)
+ */
+
+/**
+ * @typedef {object} InjectResult
+ * @prop {number} status
+ * @prop {Object<string, string|string[]|number>} headers Lowercase header names
+ * @prop {string} body
+ * @prop {Buffer} rawBody Exactly what was written, EG: still compressed if the request accepted it
+ * @prop {()=>any} json Parse `body` as JSON
+ */
+
+/** A socket that only holds the details requests are read from */
+class InjectedSocket extends EventEmitter {
+	/** @type {string} */
+	remoteAddress;
+	remotePort = 0;
+
+	/** @type {boolean} */
+	encrypted;
+
+	destroyed = false;
+
+	/**
+	 * @param {string} remoteAddress
+	 * @param {boolean} encrypted
+	 */
+	constructor(remoteAddress, encrypted) {
+		super();
+		this.remoteAddress = remoteAddress;
+		this.encrypted = encrypted;
+	}
+
+	setTimeout() {}
+	setKeepAlive() {}
+	setNoDelay() {}
+
+	destroy() {
+		this.destroyed = true;
+	}
+}
+
+/** Stands in for `http.IncomingMessage` */
+class InjectedRequest extends stream.Readable {
+	httpVersion = "1.1";
+	httpVersionMajor = 1;
+	httpVersionMinor = 1;
+
+	/** @type {string} */
+	method;
+
+	/** @type {string} */
+	url;
+
+	/** @type {import("http").IncomingHttpHeaders} */
+	headers = {};
+
+	/** @type {string[]} */
+	rawHeaders = [];
+
+	/** @type {InjectedSocket} */
+	socket;
+
+	/** @type {?Buffer} */
+	#body;
+
+	/**
+	 * @param {InjectOptions} options
+	 * @param {boolean} encrypted If the server uses HTTPS
+	 */
+	constructor(options, encrypted) {
+		super();
+		this.method = (options.method ?? "GET").toUpperCase();
+		this.url = options.url ?? "/";
+		this.socket = new InjectedSocket(options.remoteAddress ?? "127.0.0.1", encrypted);
+
+		let body = options.body;
+		let headers = { ...options.headers };
+		if (body != undefined && typeof body != "string" && Buffer.isBuffer(body) == false) {
+			body = JSON.stringify(body);
+			if (Object.keys(headers).some(name => name.toLowerCase() == "content-type") == false) headers["content-type"] = "application/json";
+		}
+		this.#body = body == undefined ? null : Buffer.from(body);
+		if (this.#body) headers["content-length"] = String(this.#body.length);
+
+		for (let [name, value] of Object.entries(headers)) {
+			if (value == undefined) continue;
+			this.headers[name.toLowerCase()] = Array.isArray(value) && name.toLowerCase() != "set-cookie" ? value.join(", ") : value;
+			for (let item of [value].flat()) this.rawHeaders.push(name, String(item));
+		}
+	}
+
+	get connection() {
+		return this.socket;
+	}
+
+	_read() {
+		if (this.#body) this.push(this.#body);
+		this.#body = null;
+		this.push(null);
+	}
+}
+
+/** Stands in for `http.ServerResponse`, keeping everything that's written */
+class InjectedResponse extends stream.Writable {
+	statusCode = 200;
+
+	/** @type {string} */
+	statusMessage;
+
+	headersSent = false;
+
+	/** @type {InjectedRequest} */
+	req;
+
+	/** @type {Map<string, { name:string, value:string|string[]|number }>} */
+	#headers = new Map();
+
+	/** @type {Buffer[]} */
+	#chunks = [];
+
+	/**
+	 * @param {InjectedRequest} request
+	 */
+	constructor(request) {
+		super();
+		this.req = request;
+	}
+
+	get socket() {
+		return this.req.socket;
+	}
+
+	get connection() {
+		return this.req.socket;
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {string|string[]|number} value
+	 */
+	setHeader(name, value) {
+		if (this.headersSent) {
+			let error = new Error(`Cannot set headers after they are sent to the client`);
+			error.code = "ERR_HTTP_HEADERS_SENT";
+			throw error;
+		}
+		this.#headers.set(name.toLowerCase(), { name, value });
+		return this;
+	}
+
+	/** @param {string} name */
+	getHeader(name) {
+		return this.#headers.get(name.toLowerCase())?.value;
+	}
+
+	/** @param {string} name */
+	hasHeader(name) {
+		return this.#headers.has(name.toLowerCase());
+	}
+
+	/** @param {string} name */
+	removeHeader(name) {
+		this.#headers.delete(name.toLowerCase());
+	}
+
+	getHeaderNames() {
+		return [...this.#headers.keys()];
+	}
+
+	/** @returns {Object<string, string|string[]|number>} */
+	getHeaders() {
+		let headers = {};
+		for (let [name, header] of this.#headers) headers[name] = header.value;
+		return headers;
+	}
+
+	/**
+	 * @param {number} statusCode
+	 * @param {string|Object<string, string|string[]|number>} [reason]
+	 * @param {Object<string, string|string[]|number>} [headers]
+	 */
+	writeHead(statusCode, reason, headers) {
+		if (typeof reason != "string") {
+			headers = reason;
+			reason = undefined;
+		}
+		this.statusCode = statusCode;
+		this.statusMessage = reason ?? http.STATUS_CODES[statusCode] ?? "unknown";
+		for (let [name, value] of Object.entries(headers ?? {})) this.setHeader(name, value);
+		this.headersSent = true;
+		return this;
+	}
+
+	/** Like Node, goes through `writeHead`, so anything wrapping it (EG: compression) still runs */
+	flushHeaders() {
+		if (!this.headersSent) this.writeHead(this.statusCode);
+	}
+
+	write(chunk, encoding, callback) {
+		this.flushHeaders();
+		return super.write(chunk, encoding, callback);
+	}
+
+	end(chunk, encoding, callback) {
+		this.flushHeaders();
+		if (typeof chunk == "function") return super.end(chunk);
+		return super.end(chunk, encoding, callback);
+	}
+
+	_write(chunk, encoding, callback) {
+		if (this.req.method != "HEAD") this.#chunks.push(Buffer.from(chunk, encoding));
+		callback();
+	}
+
+	/** @returns {InjectResult} */
+	toResult() {
+		let rawBody = Buffer.concat(this.#chunks);
+		let body = rawBody.toString("utf8");
+		return { status: this.statusCode, headers: this.getHeaders(), body, rawBody, json: () => JSON.parse(body) };
+	}
+}
+
+/**
+ * The server side of an in-memory websocket, with the same API as a "ws" socket
+ */
+class InjectedServerSocket extends EventEmitter {
+	CONNECTING = 0;
+	OPEN = 1;
+	CLOSING = 2;
+	CLOSED = 3;
+
+	readyState = 1;
+	protocol = "";
+
+	/** @type {InjectedWebsocket} */
+	_peer;
+
+	/**
+	 * @param {string|Buffer|ArrayBuffer|ArrayBufferView} data
+	 * @param {{ binary?:boolean }|((error?:Error)=>void)} [options]
+	 * @param {(error?:Error)=>void} [callback]
+	 */
+	send(data, options, callback) {
+		if (typeof options == "function") callback = options;
+		if (this.readyState != this.OPEN) {
+			if (callback) queueMicrotask(() => callback(new Error(`WebSocket is not open: readyState ${this.readyState}`)));
+			return;
+		}
+
+		let isBinary = typeof data != "string" || options?.binary == true;
+		let message = isBinary ? toBuffer(data) : data;
+		queueMicrotask(() => {
+			this._peer._receive(message);
+			callback?.();
+		});
+	}
+
+	ping() {
+		if (this.readyState != this.OPEN) return;
+		queueMicrotask(() => {
+			if (this._peer.autoPong && this.readyState == this.OPEN) this.emit("pong", Buffer.alloc(0));
+		});
+	}
+
+	pong() {}
+
+	/**
+	 * @param {number} [code]
+	 * @param {string|Buffer} [reason]
+	 */
+	close(code = 1000, reason = "") {
+		closePair(this, this._peer, code, reason);
+	}
+
+	terminate() {
+		closePair(this, this._peer, 1006, "");
+	}
+}
+
+/**
+ * The client side of an in-memory websocket, for testing `Server.websocket` endpoints (See `Server.injectWebsocket`)
+ */
+class InjectedWebsocket {
+	/** @type {0|1|2|3} */
+	readyState = 1;
+
+	/** @type {(string|Buffer)[]} Every message received, strings for text and buffers for binary */
+	messages = [];
+
+	/** Answer the server's heartbeat pings. Set to `false` to test dead connections */
+	autoPong = true;
+
+	/** @type {Promise<{ code:number, reason:string }>} Resolves when either side closes */
+	closed;
+
+	/** @type {InjectedServerSocket} */
+	_peer;
+
+	/** @type {(string|Buffer)[]} */
+	#unread = [];
+
+	/** @type {((message:string|Buffer)=>void)[]} */
+	#waiting = [];
+
+	/** @type {(value:{ code:number, reason:string })=>void} */
+	#resolveClosed;
+
+	constructor() {
+		this.closed = new Promise(resolve => this.#resolveClosed = resolve);
+	}
+
+	/**
+	 * @param {any} data Strings are sent as text, buffers as binary, and anything else as JSON text
+	 */
+	send(data) {
+		if (this.readyState != 1) throw new Error(`WebSocket is not open: readyState ${this.readyState}`);
+
+		let isBinary = Buffer.isBuffer(data) || data instanceof ArrayBuffer || ArrayBuffer.isView(data);
+		let message = isBinary ? toBuffer(data) : Buffer.from(typeof data == "string" ? data : JSON.stringify(data));
+		queueMicrotask(() => {
+			if (this._peer.readyState == this._peer.OPEN) this._peer.emit("message", message, isBinary);
+		});
+	}
+
+	/**
+	 * Send a JSON `{ "event", "data" }` message, for `Websocket.on`
+	 * @param {string} event
+	 * @param {any} [data]
+	 */
+	emit(event, data) {
+		this.send(JSON.stringify({ event, data }));
+	}
+
+	/**
+	 * @returns {Promise<string|Buffer>} The oldest message that hasn't been read yet, waiting for one if there isn't any
+	 */
+	nextMessage() {
+		if (this.#unread.length > 0) return Promise.resolve(this.#unread.shift());
+		return new Promise(resolve => this.#waiting.push(resolve));
+	}
+
+	/**
+	 * @param {number} [code] Default `1000`
+	 * @param {string} [reason]
+	 */
+	close(code = 1000, reason = "") {
+		closePair(this._peer, this, code, reason);
+	}
+
+	/**
+	 * @param {string|Buffer} message
+	 */
+	_receive(message) {
+		if (this.readyState != 1) return;
+		this.messages.push(message);
+		let waiting = this.#waiting.shift();
+		if (waiting) waiting(message);
+		else this.#unread.push(message);
+	}
+
+	/**
+	 * @param {number} code
+	 * @param {string} reason
+	 */
+	_closed(code, reason) {
+		this.readyState = 3;
+		this.#resolveClosed({ code, reason });
+	}
+}
+
+module.exports = {
+
+	/**
+	 * Run a request through a request listener, without a network connection
+	 * @param {InjectOptions} options
+	 * @param {boolean} encrypted If the server uses HTTPS
+	 * @param {(request:InjectedRequest, result:InjectedResponse)=>void} listener
+	 * @returns {Promise<InjectResult>} Rejects if the response is destroyed before it ends
+	 */
+	request(options, encrypted, listener) {
+		return new Promise((resolve, reject) => {
+			let request = new InjectedRequest(options, encrypted);
+			let result = new InjectedResponse(request);
+
+			result.on("finish", () => resolve(result.toResult()));
+			result.on("close", () => {
+				if (result.writableFinished == false) reject(new Error(`The response to ${request.method} ${request.url} was closed before it ended`));
+			});
+
+			listener(request, result);
+		});
+	},
+
+	/**
+	 * Create the request for an in-memory websocket connection
+	 * @param {InjectOptions} options
+	 * @param {boolean} encrypted
+	 * @returns {InjectedRequest}
+	 */
+	upgradeRequest(options, encrypted) {
+		return new InjectedRequest({
+			...options,
+			method: "GET",
+			body: undefined,
+			headers: {
+				"connection": "Upgrade",
+				"upgrade": "websocket",
+				"sec-websocket-version": "13",
+				"sec-websocket-key": crypto.randomBytes(16).toString("base64"),
+				...options.headers
+			}
+		}, encrypted);
+	},
+
+	/**
+	 * @returns {{ socket:InjectedServerSocket, client:InjectedWebsocket }} Both ends of an in-memory websocket
+	 */
+	socketPair() {
+		let socket = new InjectedServerSocket();
+		let client = new InjectedWebsocket();
+		socket._peer = client;
+		client._peer = socket;
+		return { socket, client };
+	},
+
+	InjectedRequest,
+	InjectedResponse,
+	InjectedWebsocket
+
+}
+
+/**
+ * @param {InjectedServerSocket} socket
+ * @param {InjectedWebsocket} client
+ * @param {number} code
+ * @param {string|Buffer} reason
+ */
+function closePair(socket, client, code, reason) {
+	if (socket.readyState >= socket.CLOSING) return;
+	socket.readyState = socket.CLOSING;
+	client.readyState = 2;
+
+	queueMicrotask(() => {
+		socket.readyState = socket.CLOSED;
+		client._closed(code, String(reason));
+		socket.emit("close", code, toBuffer(reason));
+	});
+}
+
+/**
+ * @param {string|Buffer|ArrayBuffer|ArrayBufferView} data
+ * @returns {Buffer}
+ */
+function toBuffer(data) {
+	if (Buffer.isBuffer(data)) return data;
+	if (data instanceof ArrayBuffer) return Buffer.from(data);
+	if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+	return Buffer.from(String(data));
+}
@@ -0,0 +1,93 @@
+const net = require("net");
+
+/**
+ * @typedef {object} IPRange
+ * @prop {4|6} version
+ * @prop {bigint} network
+ * @prop {number} prefix Number of fixed bits
+ */
+
+module.exports = {
+
+	/**
+	 * Parse an IP address or CIDR range, like `"10.0.0.0/8"`, `"192.168.1.20"` or `"fd00::/8"`
+	 * @param {string} text
+	 * @returns {?IPRange} `null` if `text` is invalid
+	 */
+	parseRange(text) {
+		let [address, prefix] = text.trim().split("/");
+
+		let ip = parseIP(address);
+		if (!ip) return null;
+
+		let bits = ip.version == 4 ? 32 : 128;
+		if (prefix == undefined) prefix = bits;
+		else if (ip.version == 4 && address.includes(":")) prefix = Number(prefix) - 96; // IPv4-mapped IPv6 range
+		else prefix = Number(prefix);
+		if (Number.isInteger(prefix) == false || prefix < 0 || prefix > bits) return null;
+
+		return { version: ip.version, network: ip.value & mask(prefix, bits), prefix };
+	},
+
+	/**
+	 * Check if an IP address is inside of any of the given ranges
+	 * @param {?string} address
+	 * @param {IPRange[]} ranges
+	 * @returns {boolean}
+	 */
+	matches(address, ranges) {
+		let ip = address ? parseIP(address) : null;
+		if (!ip) return false;
+
+		return ranges.some((range) => {
+			if (range.version != ip.version) return false;
+			let bits = ip.version == 4 ? 32 : 128;
+			return (ip.value & mask(range.prefix, bits)) == range.network;
+		});
+	}
+
+}
+
+/**
+ * @param {string} address IPv4, IPv6, or IPv4-mapped IPv6 (which is treated as IPv4)
+ * @returns {?{ version:4|6, value:bigint }}
+ */
+function parseIP(address) {
+	address = address.trim().replace(/^\[|\]$/g, "").replace(/%.*$/, ""); // Brackets and zone IDs
+	let mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+	if (mapped) address = mapped[1];
+
+	if (net.isIPv4(address)) {
+		let value = address.split(".").reduce((total, part) => (total << 8n) | BigInt(part), 0n);
+		return { version: 4, value };
+	}
+
+	if (net.isIPv6(address) == false) return null;
+
+	// An embedded IPv4 address takes up the last two groups
+	let ipv4 = address.match(/(\d+\.\d+\.\d+\.\d+)$/)?.[1];
+	if (ipv4) {
+		let parts = ipv4.split(".").map(Number);
+		address = address.slice(0, -ipv4.length) + ((parts[0] << 8) | parts[1]).toString(16) + ":" + ((parts[2] << 8) | parts[3]).toString(16);
+	}
+
+	let [head, tail] = address.split("::");
+	let headGroups = head ? head.split(":") : [];
+	let tailGroups = tail ? tail.split(":") : [];
+	let groups = address.includes("::")
+		? [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill("0"), ...tailGroups]
+		: headGroups;
+
+	let value = groups.reduce((total, group) => (total << 16n) | BigInt(parseInt(group, 16)), 0n);
+	return { version: 6, value };
+}
+
+/**
+ * @param {number} prefix
+ * @param {32|128} bits
+ * @returns {bigint}
+ */
+function mask(prefix, bits) {
+	if (prefix == 0) return 0n;
+	return ((1n << BigInt(prefix)) - 1n) << BigInt(bits - prefix);
+}
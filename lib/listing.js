@@ -0,0 +1,171 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {object} DirectoryListingOptions
+ * @prop {"name"|"size"|"modified"|"type"} [sort] Default column to sort by (default `"name"`), can be changed with `?sort=`
+ * @prop {"asc"|"desc"} [order] Default sort order (default `"asc"`), can be changed with `?order=`
+ * @prop {boolean} [hidden] List files and directories starting with `"."` (default `false`)
+ */
+
+/**
+ * @typedef {object} DirectoryEntry
+ * @prop {string} name
+ * @prop {"file"|"directory"} type
+ * @prop {?number} size Size in bytes, `null` for directories
+ * @prop {string} modified ISO 8601 date
+ * @prop {?string} mimeType `null` for directories
+ */
+
+const SORT_KEYS = ["name", "size", "modified", "type"];
+
+module.exports = {
+
+	/**
+	 * Read the entries of a directory
+	 * @param {string} directory
+	 * @param {Required<DirectoryListingOptions>} options
+	 * @param {Object<string, string>} mimeTypes See `Server.mimeTypes`
+	 * @param {(pathname:string)=>boolean} canAccess Entries are skipped if this returns `false`
+	 * @returns {Promise<DirectoryEntry[]>}
+	 */
+	async read(directory, options, mimeTypes, canAccess) {
+		let dirents = await fs.promises.readdir(directory, { withFileTypes: true });
+		let entries = [];
+
+		for (let dirent of dirents) {
+			if (!options.hidden && dirent.name.startsWith(".")) continue;
+
+			let pathname = path.join(directory, dirent.name);
+			if (canAccess(pathname) == false) continue;
+
+			let stats;
+			try {
+				stats = await fs.promises.stat(pathname);
+			} catch (error) {
+				continue; // Broken symlink, or removed while reading
+			}
+
+			let isDirectory = stats.isDirectory();
+			let extension = dirent.name.includes(".") ? dirent.name.split(".").at(-1).toLowerCase() : null;
+
+			entries.push({
+				name: dirent.name,
+				type: isDirectory ? "directory" : "file",
+				size: isDirectory ? null : stats.size,
+				modified: stats.mtime.toISOString(),
+				mimeType: isDirectory ? null : (mimeTypes[extension] ?? mimeTypes["txt"])
+			});
+		}
+
+		return entries;
+	},
+
+	/**
+	 * Sort entries in place, always listing directories first
+	 * @param {DirectoryEntry[]} entries
+	 * @param {"name"|"size"|"modified"|"type"} sort
+	 * @param {"asc"|"desc"} order
+	 * @returns {DirectoryEntry[]}
+	 */
+	sort(entries, sort, order) {
+		if (SORT_KEYS.includes(sort) == false) sort = "name";
+		let direction = order == "desc" ? -1 : 1;
+
+		return entries.sort((a, b) => {
+			if (a.type != b.type) return a.type == "directory" ? -1 : 1;
+
+			let difference = 0;
+			if (sort == "size") difference = (a.size ?? 0) - (b.size ?? 0);
+			else if (sort == "modified") difference = Date.parse(a.modified) - Date.parse(b.modified);
+			else if (sort == "type") difference = (a.mimeType ?? "").localeCompare(b.mimeType ?? "");
+
+			if (difference == 0) difference = a.name.localeCompare(b.name, undefined, { numeric: true });
+			return difference * direction;
+		});
+	},
+
+	/**
+	 * Render entries as an HTML page
+	 * @param {DirectoryEntry[]} entries
+	 * @param {string} urlPath Decoded pathname of the directory, used for links
+	 * @param {"name"|"size"|"modified"|"type"} sort
+	 * @param {"asc"|"desc"} order
+	 * @returns {string}
+	 */
+	html(entries, urlPath, sort, order) {
+		if (urlPath.endsWith("/") == false) urlPath += "/";
+
+		let title = escapeHTML("Index of "+urlPath);
+
+		let header = (key, label) => {
+			let nextOrder = sort == key && order == "asc" ? "desc" : "asc";
+			let arrow = sort == key ? (order == "asc" ? " ▲" : " ▼") : "";
+			return `<th><a href="?sort=${key}&amp;order=${nextOrder}">${label}${arrow}</a></th>`;
+		};
+
+		let rows = entries.map((entry) => {
+			let href = urlPath.split("/").map(encodeURIComponent).join("/") + encodeURIComponent(entry.name) + (entry.type == "directory" ? "/" : "");
+			return `<tr>`+
+				`<td><a href="${escapeHTML(href)}">${escapeHTML(entry.name)}${entry.type == "directory" ? "/" : ""}</a></td>`+
+				`<td>${entry.size == null ? "-" : formatSize(entry.size)}</td>`+
+				`<td><time datetime="${entry.modified}">${entry.modified.replace("T", " ").replace(/\.\d+Z$/, " UTC")}</time></td>`+
+				`<td>${escapeHTML(entry.mimeType ?? "directory")}</td>`+
+			`</tr>`;
+		});
+
+		if (urlPath != "/") {
+			let parent = path.posix.dirname(urlPath.slice(0, -1)).replace(/\/?$/, "/");
+			let href = parent.split("/").map(encodeURIComponent).join("/");
+			rows.unshift(`<tr><td><a href="${escapeHTML(href)}">../</a></td><td></td><td></td><td></td></tr>`);
+		}
+
+		return `<!DOCTYPE html>
+<html lang="en">
+<head>
+	<meta charset="utf-8">
+	<meta name="viewport" content="width=device-width, initial-scale=1">
+	<title>${title}</title>
+	<style>
+		body { font-family: system-ui, sans-serif; margin: 2em; }
+		table { border-collapse: collapse; width: 100%; }
+		th, td { text-align: left; padding: 0.25em 1em 0.25em 0; white-space: nowrap; }
+		th a { color: inherit; }
+		td:first-child { width: 100%; }
+	</style>
+</head>
+<body>
+	<h1>${title}</h1>
+	<table>
+		<thead><tr>${header("name", "Name")}${header("size", "Size")}${header("modified", "Modified")}${header("type", "Type")}</tr></thead>
+		<tbody>
+			${rows.join("\n\t\t\t")}
+		</tbody>
+	</table>
+</body>
+</html>`;
+	}
+
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHTML(text) {
+	return text.replace(/[&<>"']/g, character => `&#${character.charCodeAt(0)};`);
+}
+
+/**
+ * @param {number} bytes
+ * @returns {string} EG: `"1.5 KiB"`
+ */
+function formatSize(bytes) {
+	let units = ["B", "KiB", "MiB", "GiB", "TiB"];
+	let unit = 0;
+	while (bytes >= 1024 && unit < units.length - 1) {
+		bytes /= 1024;
+		unit ++;
+	}
+	return (unit == 0 ? bytes : bytes.toFixed(1)) + " " + units[unit];
+}
@@ -0,0 +1,116 @@
+const fs = require("fs");
+const path = require("path");
+const files = require("./files.js");
+
+/**
+ * @typedef {object} LiveReloadOptions
+ * @prop {number} [debounce] Milliseconds to wait for more changes before notifying browsers (default `100`)
+ */
+
+/** Reloads the page, or only its stylesheets if nothing but CSS changed. Reloads once the server is back after a restart */
+const CLIENT_SCRIPT = `<script>(() => {
+	let source = new EventSource(PATH);
+	let lost = false;
+	source.addEventListener("error", () => lost = true);
+	source.addEventListener("open", () => { if (lost) location.reload(); });
+	source.addEventListener("reload", () => location.reload());
+	source.addEventListener("css", () => {
+		for (let link of document.querySelectorAll('link[rel="stylesheet"]')) {
+			let url = new URL(link.href);
+			if (url.origin != location.origin) continue;
+			url.searchParams.set("livereload", Date.now());
+			link.href = url.href;
+		}
+	});
+})();</script>`;
+
+class LiveReload {
+	/** Path of the event stream browsers listen to */
+	static path = "/__livereload";
+
+	/** @type {string} */
+	root;
+
+	/** @type {number} */
+	debounce;
+
+	/** @type {string} Injected into HTML pages (See `Server.sendFile`) */
+	script = CLIENT_SCRIPT.replace("PATH", JSON.stringify(LiveReload.path));
+
+	/** @type {import("./events.js")} */
+	#stream;
+
+	/** @type {?fs.FSWatcher} Only watching while a browser is connected */
+	#watcher = null;
+
+	/** @type {?NodeJS.Timeout} */
+	#timer = null;
+
+	/** @type {Set<string>} URL paths changed since the last notification, `"*"` if unknown */
+	#changed = new Set();
+
+	/**
+	 * @param {import("..")} server A `Server.flags.FILESYSTEM` server
+	 * @param {LiveReloadOptions} [options]
+	 */
+	constructor(server, options) {
+		this.root = files.resolveRoot(server.customData["rootDirectory"] ?? ".");
+		this.debounce = options?.debounce ?? 100;
+
+		this.#stream = server.events(LiveReload.path, { bufferSize: 0 });
+		this.#stream.listen.connection(() => this.#watch());
+		this.#stream.listen.close(() => {
+			if (this.#stream.clients.size == 0) this.#unwatch();
+		});
+	}
+
+	#watch() {
+		if (this.#watcher) return;
+
+		try {
+			this.#watcher = fs.watch(this.root, { recursive: true }, (eventType, filename) => this.#change(filename));
+		} catch (error) {
+			console.error("⚠️  Cannot watch for live reload: "+error.message);
+			return;
+		}
+		this.#watcher.on("error", (error) => {
+			console.error("⚠️  Stopped watching for live reload: "+error.message);
+			this.#unwatch();
+		});
+	}
+
+	#unwatch() {
+		this.#watcher?.close();
+		this.#watcher = null;
+		clearTimeout(this.#timer);
+		this.#timer = null;
+		this.#changed.clear();
+	}
+
+	/**
+	 * @param {?string} filename Relative to `root`
+	 */
+	#change(filename) {
+		if (filename) {
+			let segments = filename.split(path.sep);
+			if (segments.some(segment => segment.startsWith(".")) || filename.endsWith("~")) return; // Editor swap and backup files
+			this.#changed.add("/"+segments.join("/"));
+		} else {
+			this.#changed.add("*");
+		}
+
+		clearTimeout(this.#timer);
+		this.#timer = setTimeout(() => this.#notify(), this.debounce);
+	}
+
+	#notify() {
+		let changed = [...this.#changed];
+		this.#changed.clear();
+		this.#timer = null;
+
+		let onlyCSS = changed.every(urlPath => urlPath.endsWith(".css"));
+		this.#stream.broadcast(changed, { event: onlyCSS ? "css" : "reload" });
+	}
+}
+
+module.exports = LiveReload;
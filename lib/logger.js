@@ -0,0 +1,273 @@
+const fs = require("fs");
+const path = require("path");
+
+/**
+ * @typedef {object} AccessLogEntry
+ * @prop {Date} time When the request was received
+ * @prop {string} method
+ * @prop {string} url Path and query string
+ * @prop {string} httpVersion
+ * @prop {number} status
+ * @prop {number} bytes Size of the response body, after compression
+ * @prop {number} duration Milliseconds between receiving the request and finishing the response
+ * @prop {?string} ip See `Server.getIP`
+ * @prop {string} host
+ * @prop {?string} subdomain The subdomain that handled the request, like `"api"`, or `null`
+ * @prop {?string} referer
+ * @prop {?string} userAgent
+ * @prop {boolean} aborted If the connection closed before the response was finished
+ */
+
+/**
+ * @typedef {object} FileTransportOptions
+ * @prop {string} file Path of the log file
+ * @prop {number} [maxSize] Rotate once the file would be larger than this many bytes
+ * @prop {"hourly"|"daily"} [interval] Rotate at the start of every hour or day
+ * @prop {number} [maxFiles] How many rotated files to keep (default: all of them)
+ */
+
+/**
+ * @typedef {"stdout"|"stderr"|FileTransportOptions|((line:string, entry:AccessLogEntry)=>void)} LogTransport
+ */
+
+/**
+ * @typedef {object} LoggingOptions
+ * @prop {"pretty"|"common"|"combined"|"json"|((entry:AccessLogEntry)=>string)} [format] Default `"pretty"`, the coloured format used by the other logs
+ * @prop {LogTransport|LogTransport[]} [transport] Default `"stdout"`
+ */
+
+const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+
+class Logger {
+	/** @type {(entry:AccessLogEntry)=>string} */
+	#format;
+
+	/** @type {{ write:(line:string, entry:AccessLogEntry)=>void, close?:()=>Promise<void> }[]} */
+	#transports = [];
+
+	/**
+	 * @param {LoggingOptions} options
+	 * @param {(entry:AccessLogEntry)=>string} prettyFormat
+	 */
+	constructor(options, prettyFormat) {
+		let format = options.format ?? "pretty";
+
+		if (typeof format == "function") this.#format = format;
+		else if (format == "pretty") this.#format = prettyFormat;
+		else if (format in Logger.formats) this.#format = Logger.formats[format];
+		else throw new Error(`Unknown log format "${format}", expected "pretty", "common", "combined", "json" or a function`);
+
+		for (let transport of [options.transport ?? "stdout"].flat()) {
+			if (transport == "stdout") this.#transports.push({ write: line => process.stdout.write(line+"\n") });
+			else if (transport == "stderr") this.#transports.push({ write: line => process.stderr.write(line+"\n") });
+			else if (typeof transport == "function") this.#transports.push({ write: transport });
+			else if (transport?.file) this.#transports.push(new FileTransport(transport));
+			else throw new Error("Unknown log transport, expected \"stdout\", \"stderr\", { file } or a function");
+		}
+	}
+
+	/**
+	 * @param {AccessLogEntry} entry
+	 */
+	log(entry) {
+		let line = this.#format(entry);
+		for (let transport of this.#transports) {
+			try {
+				transport.write(line, entry);
+			} catch (error) {
+				console.error(error);
+			}
+		}
+	}
+
+	/**
+	 * Finish writing to all files
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		await Promise.all(this.#transports.map(transport => transport.close?.()));
+	}
+
+	/** @type {Object<string, (entry:AccessLogEntry)=>string>} */
+	static formats = {
+		/** [Common Log Format](https://httpd.apache.org/docs/current/logs.html#common) */
+		common(entry) {
+			return `${entry.ip ?? "-"} - - [${apacheTime(entry.time)}] "${entry.method} ${escape(entry.url)} HTTP/${entry.httpVersion}" ${entry.status} ${entry.bytes || "-"}`;
+		},
+
+		/** [Combined Log Format](https://httpd.apache.org/docs/current/logs.html#combined) */
+		combined(entry) {
+			return Logger.formats.common(entry) + ` "${escape(entry.referer ?? "-")}" "${escape(entry.userAgent ?? "-")}"`;
+		},
+
+		/** One JSON object per line */
+		json(entry) {
+			return JSON.stringify(entry);
+		}
+	};
+}
+
+/**
+ * Appends to a file, moving it to `<file>.<date>` when it gets too large or a new hour/day starts
+ */
+class FileTransport {
+	/** @type {FileTransportOptions} */
+	#options;
+
+	/** @type {?fs.WriteStream} */
+	#stream = null;
+	#size = 0;
+	#period = "";
+
+	/** @type {?string[]} Lines waiting for a rotation to finish */
+	#pending = null;
+
+	/** @type {?Promise<void>} Resolves once the last rotation has finished */
+	#rotating = null;
+
+	/**
+	 * @param {FileTransportOptions} options
+	 */
+	constructor(options) {
+		this.#options = options;
+		fs.mkdirSync(path.dirname(path.resolve(options.file)), { recursive: true });
+
+		let stats = fs.statSync(options.file, { throwIfNoEntry: false });
+		this.#size = stats?.size ?? 0;
+		this.#period = this.#currentPeriod(stats?.mtime ?? new Date);
+		this.#open();
+	}
+
+	/**
+	 * @param {string} line
+	 */
+	write(line) {
+		line += "\n";
+
+		if (this.#pending) {
+			this.#pending.push(line);
+			return;
+		}
+		if (!this.#stream) this.#open(); // Closed, and the server was opened again
+
+		let length = Buffer.byteLength(line);
+		let period = this.#currentPeriod(new Date);
+		let tooLarge = this.#options.maxSize && this.#size > 0 && this.#size + length > this.#options.maxSize;
+
+		if (tooLarge || period != this.#period) {
+			this.#pending = [line];
+			this.#rotate(period);
+			return;
+		}
+
+		this.#size += length;
+		this.#stream.write(line);
+	}
+
+	/**
+	 * Write everything that is buffered, and close the file
+	 * @returns {Promise<void>}
+	 */
+	async close() {
+		await this.#rotating;
+		if (!this.#stream) return;
+
+		let stream = this.#stream;
+		this.#stream = null;
+		await new Promise(resolve => stream.end(resolve));
+	}
+
+	#open() {
+		this.#stream = fs.createWriteStream(this.#options.file, { flags: "a" });
+		this.#stream.on("error", (error) => console.error(error));
+	}
+
+	/**
+	 * @param {string} period
+	 */
+	#rotate(period) {
+		let oldPeriod = this.#period;
+
+		this.#rotating = new Promise(resolve => this.#stream.end(() => {
+			let target = this.#options.file + "." + (this.#options.interval ? oldPeriod : timestamp(new Date));
+			for (let i = 1; fs.existsSync(target); i ++) {
+				target = this.#options.file + "." + (this.#options.interval ? oldPeriod : timestamp(new Date)) + "." + i;
+			}
+
+			try {
+				if (this.#size > 0) fs.renameSync(this.#options.file, target);
+				this.#removeOldFiles();
+			} catch (error) {
+				console.error(error);
+			}
+
+			this.#size = 0;
+			this.#period = period;
+			this.#open();
+
+			let pending = this.#pending;
+			this.#pending = null;
+			for (let line of pending) this.write(line.slice(0, -1));
+			resolve();
+		}));
+	}
+
+	#removeOldFiles() {
+		if (!this.#options.maxFiles) return;
+
+		let directory = path.dirname(path.resolve(this.#options.file));
+		let prefix = path.basename(this.#options.file) + ".";
+
+		let rotated = fs.readdirSync(directory)
+			.filter(name => name.startsWith(prefix))
+			.map(name => ({ name, time: fs.statSync(path.join(directory, name)).mtimeMs }))
+			.sort((a, b) => b.time - a.time);
+
+		for (let file of rotated.slice(this.#options.maxFiles)) {
+			fs.rmSync(path.join(directory, file.name), { force: true });
+		}
+	}
+
+	/**
+	 * @param {Date} date
+	 * @returns {string} EG: `"2024-05-01"` for daily rotation, or `""` without an interval
+	 */
+	#currentPeriod(date) {
+		if (this.#options.interval == "hourly") return timestamp(date).slice(0, 13);
+		if (this.#options.interval == "daily") return timestamp(date).slice(0, 10);
+		return "";
+	}
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} Local time, EG: `"2024-05-01T13-45-00"`
+ */
+function timestamp(date) {
+	let pad = number => number.toString().padStart(2, "0");
+	return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+}
+
+/**
+ * @param {Date} date
+ * @returns {string} EG: `"10/Oct/2000:13:55:36 -0700"`
+ */
+function apacheTime(date) {
+	let pad = number => number.toString().padStart(2, "0");
+	let offset = -date.getTimezoneOffset();
+	let sign = offset >= 0 ? "+" : "-";
+	offset = Math.abs(offset);
+
+	return `${pad(date.getDate())}/${MONTHS[date.getMonth()]}/${date.getFullYear()}:${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())} ${sign}${pad(Math.floor(offset / 60))}${pad(offset % 60)}`;
+}
+
+/**
+ * Escape quotes and control characters, so a line can't be broken up by a client
+ * @param {string} text
+ * @returns {string}
+ */
+function escape(text) {
+	return String(text).replace(/["\\\x00-\x1f\x7f]/g, character => "\\x"+character.charCodeAt(0).toString(16).padStart(2, "0"));
+}
+
+module.exports = Logger;
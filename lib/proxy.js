@@ -0,0 +1,268 @@
+const http = require("http");
+const https = require("https");
+
+/**
+ * @typedef {object} ProxyOptions
+ * @prop {string} target URL of the service, like `"http://localhost:3000"`. A path is put in front of every forwarded path
+ * @prop {number} [timeout] Milliseconds to wait for the service to respond before sending `504` (default `30000`)
+ * @prop {boolean} [preserveHost] Send the client's `Host` header, instead of the target's (default `false`)
+ * @prop {boolean} [xForwarded] Add `X-Forwarded-For`, `X-Forwarded-Host` and `X-Forwarded-Proto` headers (default `true`).
+ * A client's own `X-Forwarded-For` is only passed on when it comes from one of `Server.trustedProxies`
+ * @prop {boolean} [secure] Check the service's certificate, for `https:` targets (default `true`)
+ * @prop {Object<string, string>} [headers] Extra headers to send to the service
+ */
+
+/**
+ * @typedef {Required<Omit<ProxyOptions, "target">> & { target:URL }} ResolvedProxyOptions
+ */
+
+/** Headers that only apply to a single connection, and must not be forwarded */
+const HOP_BY_HOP = ["connection", "keep-alive", "proxy-authenticate", "proxy-authorization", "proxy-connection", "te", "trailer", "transfer-encoding", "upgrade"];
+
+module.exports = {
+
+	/**
+	 * @param {string|ProxyOptions} options
+	 * @returns {ResolvedProxyOptions}
+	 */
+	resolveOptions(options) {
+		if (typeof options == "string") options = { target: options };
+
+		let target = new URL(options.target.replace(/^ws(s?):/, "http$1:"));
+		if (target.protocol != "http:" && target.protocol != "https:") throw new TypeError(`Cannot proxy to "${options.target}", expected an http:// or https:// URL`);
+
+		return {
+			target,
+			timeout: options.timeout ?? 30000,
+			preserveHost: options.preserveHost ?? false,
+			xForwarded: options.xForwarded ?? true,
+			secure: options.secure ?? true,
+			headers: options.headers ?? {}
+		};
+	},
+
+	/**
+	 * Forward a request to the target, and stream the response back
+	 * @param {ResolvedProxyOptions} options
+	 * @param {import("..").ServerRequest} request
+	 * @param {import("..").ServerResult} result
+	 * @param {string} [prefix] Path that the proxy is mounted on, which is removed before forwarding
+	 * @returns {Promise<void>} Rejects with a `502` or `504` error if the service can't be reached
+	 */
+	forward(options, request, result, prefix = "") {
+		return new Promise((resolve, reject) => {
+			let proxyRequest = createRequest(options, request, prefix, false);
+
+			let timer = setTimeout(() => {
+				proxyRequest.destroy(httpError(504, `${options.target.host} took longer than ${options.timeout}ms to respond`));
+			}, options.timeout);
+
+			proxyRequest.on("response", (proxyResult) => {
+				clearTimeout(timer);
+
+				let headers = filterHeaders(proxyResult.headers);
+				if (headers.location) headers.location = rewriteLocation(headers.location, options, request, prefix);
+
+				result.writeHead(proxyResult.statusCode, headers);
+				proxyResult.pipe(result);
+				proxyResult.on("end", resolve);
+				proxyResult.on("error", () => {
+					result.destroy();
+					resolve();
+				});
+			});
+
+			proxyRequest.on("error", (error) => {
+				clearTimeout(timer);
+				if (result.headersSent) {
+					result.destroy();
+					resolve();
+					return;
+				}
+				reject(error.status ? error : httpError(502, `Cannot reach ${options.target.host}: ${error.message}`));
+			});
+
+			// The client went away, so the service doesn't need to finish
+			result.on("close", () => {
+				if (result.writableFinished == false) proxyRequest.destroy();
+			});
+
+			if (request.readableEnded) proxyRequest.end(); // Already read, EG: by `Server.getBody`
+			else request.pipe(proxyRequest);
+		});
+	},
+
+	/**
+	 * Forward a websocket (or any other) upgrade, then pass data both ways until either side closes
+	 * @param {ResolvedProxyOptions} options
+	 * @param {import("http").IncomingMessage} request
+	 * @param {import("stream").Duplex} socket
+	 * @param {Buffer} head
+	 * @param {string} [prefix]
+	 */
+	upgrade(options, request, socket, head, prefix = "") {
+		let proxyRequest = createRequest(options, request, prefix, true);
+
+		let timer = setTimeout(() => {
+			proxyRequest.destroy(httpError(504, "Timed out"));
+		}, options.timeout);
+
+		socket.on("error", () => proxyRequest.destroy());
+
+		proxyRequest.on("upgrade", (proxyResult, proxySocket, proxyHead) => {
+			clearTimeout(timer);
+
+			let lines = [`HTTP/1.1 ${proxyResult.statusCode} ${proxyResult.statusMessage}`];
+			for (let i = 0; i < proxyResult.rawHeaders.length; i += 2) {
+				lines.push(proxyResult.rawHeaders[i]+": "+proxyResult.rawHeaders[i + 1]);
+			}
+			socket.write(lines.join("\r\n")+"\r\n\r\n");
+
+			if (proxyHead.length > 0) socket.write(proxyHead);
+			if (head.length > 0) proxySocket.write(head);
+
+			proxySocket.on("error", () => socket.destroy());
+			socket.on("error", () => proxySocket.destroy());
+			proxySocket.on("close", () => socket.destroy());
+			socket.on("close", () => proxySocket.destroy());
+
+			proxySocket.pipe(socket).pipe(proxySocket);
+		});
+
+		proxyRequest.on("response", (proxyResult) => { // The service refused the upgrade
+			clearTimeout(timer);
+
+			let lines = [`HTTP/1.1 ${proxyResult.statusCode} ${proxyResult.statusMessage}`];
+			for (let [name, value] of Object.entries(filterHeaders(proxyResult.headers))) {
+				for (let item of [value].flat()) lines.push(name+": "+item);
+			}
+			lines.push("Connection: close");
+			socket.write(lines.join("\r\n")+"\r\n\r\n");
+			proxyResult.pipe(socket);
+		});
+
+		proxyRequest.on("error", (error) => {
+			clearTimeout(timer);
+			if (error.status == 504) socket.end("HTTP/1.1 504 Gateway Timeout\r\nConnection: close\r\n\r\n");
+			else socket.end("HTTP/1.1 502 Bad Gateway\r\nConnection: close\r\n\r\n");
+		});
+
+		proxyRequest.end();
+	}
+
+}
+
+/**
+ * @param {ResolvedProxyOptions} options
+ * @param {import("..").ServerRequest} request
+ * @param {string} prefix
+ * @param {boolean} isUpgrade Keep the `Connection` and `Upgrade` headers
+ * @returns {http.ClientRequest}
+ */
+function createRequest(options, request, prefix, isUpgrade) {
+	let { target } = options;
+	let [pathname, search] = splitUrl(request.url);
+
+	if (prefix && pathname.startsWith(prefix)) pathname = pathname.slice(prefix.length);
+	if (pathname.startsWith("/") == false) pathname = "/"+pathname;
+
+	let headers = filterHeaders(request.headers);
+	if (isUpgrade) {
+		headers["connection"] = "Upgrade";
+		headers["upgrade"] = request.headers["upgrade"];
+	}
+
+	let host = request.headers["host"] ?? request.headers[":authority"];
+	let protocol = request.socket?.encrypted ? "https" : "http";
+
+	if (options.xForwarded) {
+		const Server = require("../index.js");
+		let clientIp = request.socket?.remoteAddress?.replace(/^::ffff:/, "");
+		// Only kept from `Server.trustedProxies`, anyone else could make up the addresses in it
+		let forwardedFor = Server._isTrustedProxy(request.socket?.remoteAddress) ? request.headers["x-forwarded-for"] : null;
+		headers["x-forwarded-for"] = [forwardedFor, clientIp].filter(Boolean).join(", ");
+		if (host) headers["x-forwarded-host"] = host;
+		headers["x-forwarded-proto"] = protocol;
+	}
+
+	if (options.preserveHost && host) headers["host"] = host;
+	else headers["host"] = target.host;
+
+	Object.assign(headers, options.headers);
+
+	return (target.protocol == "https:" ? https : http).request({
+		protocol: target.protocol,
+		hostname: target.hostname.replace(/^\[|\]$/g, ""),
+		port: target.port || (target.protocol == "https:" ? 443 : 80),
+		method: request.method,
+		path: target.pathname.replace(/\/$/, "") + pathname + search,
+		headers,
+		rejectUnauthorized: options.secure
+	});
+}
+
+/**
+ * Remove hop-by-hop headers, and HTTP/2 pseudo-headers
+ * @param {import("http").IncomingHttpHeaders} headers
+ * @returns {Object<string, string|string[]>}
+ */
+function filterHeaders(headers) {
+	let connectionHeaders = String(headers["connection"] ?? "").toLowerCase().split(",").map(name => name.trim());
+	let filtered = {};
+
+	for (let [name, value] of Object.entries(headers)) {
+		if (value == undefined || name.startsWith(":")) continue;
+		if (HOP_BY_HOP.includes(name) || connectionHeaders.includes(name)) continue;
+		filtered[name] = value;
+	}
+	return filtered;
+}
+
+/**
+ * Point redirects to the service back at this server
+ * @param {string} location
+ * @param {ResolvedProxyOptions} options
+ * @param {import("..").ServerRequest} request
+ * @param {string} prefix
+ * @returns {string}
+ */
+function rewriteLocation(location, options, request, prefix) {
+	let url;
+	try {
+		url = new URL(location, options.target);
+	} catch (error) {
+		return location;
+	}
+	if (url.origin != options.target.origin) return location; // Redirects to another site
+
+	let basePath = options.target.pathname.replace(/\/$/, "");
+	let pathname = url.pathname;
+	if (basePath && pathname.startsWith(basePath)) pathname = pathname.slice(basePath.length) || "/";
+
+	let isRelative = /^[a-z][a-z0-9+.-]*:|^\/\//i.test(location) == false;
+	let rewritten = prefix + pathname + url.search + url.hash;
+	if (isRelative) return rewritten;
+
+	let host = request.headers["host"] ?? request.headers[":authority"];
+	return (request.socket?.encrypted ? "https" : "http") + "://" + host + rewritten;
+}
+
+/**
+ * @param {string} url
+ * @returns {[string, string]} Pathname and query string
+ */
+function splitUrl(url) {
+	let index = url.indexOf("?");
+	return index == -1 ? [url, ""] : [url.slice(0, index), url.slice(index)];
+}
+
+/**
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error & { status:number }}
+ */
+function httpError(status, message) {
+	let error = new Error(message);
+	error.status = status;
+	return error;
+}
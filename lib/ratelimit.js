@@ -0,0 +1,190 @@
+/**
+ * Where counters are kept. Every method can return a promise.
+ * @typedef {object} RateLimitStore
+ * @prop {(key:string)=>any|Promise<any>} get Return `undefined` or `null` if the key doesn't exist or has expired
+ * @prop {(key:string, value:any, ttl:number)=>void|Promise<void>} set `ttl` is in milliseconds
+ */
+
+/**
+ * @typedef {object} RateLimitOptions
+ * @prop {number} limit Requests allowed per window. For `"token-bucket"`, the size of the bucket
+ * @prop {number} [window] Length of the window in seconds (default `60`). For `"token-bucket"`, the time it takes to refill an empty bucket
+ * @prop {"fixed-window"|"token-bucket"} [strategy] Default `"fixed-window"`
+ * @prop {(request:import("..").ServerRequest)=>string} [key] What to count requests by (default `Server.getIP`)
+ * @prop {(request:import("..").ServerRequest)=>boolean} [skip] Don't count requests that this returns `true` for
+ * @prop {RateLimitStore} [store] Default `new MemoryStore()`
+ * @prop {boolean} [headers] Send `RateLimit-*` headers (default `true`)
+ */
+
+/**
+ * @typedef {object} RateLimitResult
+ * @prop {boolean} allowed
+ * @prop {number} limit
+ * @prop {number} remaining
+ * @prop {number} reset Seconds until the limit is fully reset
+ * @prop {number} retryAfter Seconds until the next request is allowed, `0` if `allowed`
+ */
+
+/** How often the memory store removes expired counters */
+const PRUNE_INTERVAL = 60 * 1000;
+
+class RateLimiter {
+	/** @type {Required<Omit<RateLimitOptions, "skip">> & { skip?:(request:import("..").ServerRequest)=>boolean }} */
+	options;
+
+	/**
+	 * @param {RateLimitOptions} options
+	 */
+	constructor(options) {
+		if (Number.isFinite(options?.limit) == false || options.limit < 0) throw new TypeError("Rate limits need a limit");
+		if (options.strategy && ["fixed-window", "token-bucket"].includes(options.strategy) == false) {
+			throw new TypeError(`Unknown rate limit strategy "${options.strategy}", expected "fixed-window" or "token-bucket"`);
+		}
+
+		this.options = {
+			limit: options.limit,
+			window: options.window ?? 60,
+			strategy: options.strategy ?? "fixed-window",
+			key: options.key ?? (request => require("../index.js").getIP(request) ?? "unknown"),
+			skip: options.skip,
+			store: options.store ?? new MemoryStore(),
+			headers: options.headers ?? true
+		};
+	}
+
+	/**
+	 * Count a request, or a websocket connection or message
+	 * @param {string} key
+	 * @returns {Promise<RateLimitResult>}
+	 */
+	async consume(key) {
+		let { limit, store } = this.options;
+		let windowLength = this.options.window * 1000;
+		let now = Date.now();
+
+		// Only wait for stores that return promises, so the memory store is read and updated without other requests running in between
+		if (this.options.strategy == "token-bucket") {
+			let bucket = store.get(key);
+			if (bucket instanceof Promise) bucket = await bucket;
+			bucket ??= { tokens: limit, time: now };
+			let rate = limit / windowLength; // Tokens per millisecond
+
+			let tokens = Math.min(limit, bucket.tokens + (now - bucket.time) * rate);
+			let allowed = tokens >= 1;
+			if (allowed) tokens -= 1;
+
+			let saved = store.set(key, { tokens, time: now }, windowLength);
+			if (saved instanceof Promise) await saved;
+
+			return {
+				allowed,
+				limit,
+				remaining: Math.floor(tokens),
+				reset: Math.ceil((limit - tokens) / rate / 1000),
+				retryAfter: allowed ? 0 : Math.ceil((1 - tokens) / rate / 1000)
+			};
+		}
+
+		let counter = store.get(key);
+		if (counter instanceof Promise) counter = await counter;
+		if (!counter || counter.resetAt <= now) counter = { count: 0, resetAt: now + windowLength };
+		counter.count ++;
+
+		let saved = store.set(key, counter, counter.resetAt - now);
+		if (saved instanceof Promise) await saved;
+
+		let allowed = counter.count <= limit;
+		let reset = Math.ceil((counter.resetAt - now) / 1000);
+		return { allowed, limit, remaining: Math.max(0, limit - counter.count), reset, retryAfter: allowed ? 0 : reset };
+	}
+
+	/**
+	 * Count a request
+	 * @param {import("..").ServerRequest} request
+	 * @returns {Promise<?RateLimitResult>} `null` if the request was skipped
+	 */
+	async check(request) {
+		if (this.options.skip?.(request)) return null;
+		return this.consume(this.options.key(request));
+	}
+
+	/**
+	 * Middleware that responds with `429 Too Many Requests` (See `Server.status`) once the limit is reached
+	 * @returns {import("..").ServerMiddlewareFunction}
+	 */
+	middleware() {
+		return async (request, result, next) => {
+			let status = await this.check(request);
+			if (!status) {
+				next();
+				return;
+			}
+
+			if (this.options.headers) {
+				result.setHeader("RateLimit-Limit", status.limit);
+				result.setHeader("RateLimit-Remaining", status.remaining);
+				result.setHeader("RateLimit-Reset", status.reset);
+				result.setHeader("RateLimit-Policy", `${this.options.limit};w=${this.options.window}`);
+			}
+
+			if (status.allowed) {
+				next();
+				return;
+			}
+
+			result.setHeader("Retry-After", status.retryAfter);
+			let error = new Error("Too many requests");
+			error.status = 429;
+			next(error);
+		};
+	}
+
+	/**
+	 * @param {RateLimiter|RateLimitOptions} value
+	 * @returns {RateLimiter}
+	 */
+	static from(value) {
+		return value instanceof RateLimiter ? value : new RateLimiter(value);
+	}
+}
+
+/**
+ * Keeps counters in memory, so each process has its own limits
+ * @implements {RateLimitStore}
+ */
+class MemoryStore {
+	/** @type {Map<string, { value:any, expires:number }>} */
+	#entries = new Map();
+	#lastPrune = Date.now();
+
+	/** @param {string} key */
+	get(key) {
+		let entry = this.#entries.get(key);
+		if (!entry) return null;
+		if (entry.expires <= Date.now()) {
+			this.#entries.delete(key);
+			return null;
+		}
+		return entry.value;
+	}
+
+	/**
+	 * @param {string} key
+	 * @param {any} value
+	 * @param {number} ttl Milliseconds
+	 */
+	set(key, value, ttl) {
+		this.#entries.set(key, { value, expires: Date.now() + ttl });
+		if (Date.now() - this.#lastPrune > PRUNE_INTERVAL) this.prune();
+	}
+
+	/** Remove expired counters */
+	prune() {
+		this.#lastPrune = Date.now();
+		for (let [key, entry] of this.#entries) {
+			if (entry.expires <= this.#lastPrune) this.#entries.delete(key);
+		}
+	}
+}
+
+module.exports = { RateLimiter, MemoryStore };
@@ -0,0 +1,485 @@
+/**
+ * A small WebSocket server ([RFC 6455](https://datatracker.ietf.org/doc/html/rfc6455)), used when the "ws" package isn't installed.
+ *
+ * Only the parts of the "ws" API that `Websocket` uses are implemented: `WebSocketServer.handleUpgrade`,
+ * and sockets with `send`, `ping`, `close` and `terminate`, emitting `message`, `ping`, `pong`, `error` and `close`.
+ * [permessage-deflate](https://datatracker.ietf.org/doc/html/rfc7692) is supported, without context takeover.
+ */
+
+const crypto = require("crypto");
+const zlib = require("zlib");
+const { EventEmitter } = require("events");
+const { isUtf8 } = require("buffer");
+
+const GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+
+const OPCODES = { CONTINUATION: 0x0, TEXT: 0x1, BINARY: 0x2, CLOSE: 0x8, PING: 0x9, PONG: 0xa };
+
+/** Milliseconds to wait for the client to answer a close frame */
+const CLOSE_TIMEOUT = 30 * 1000;
+
+/** Messages smaller than this many bytes aren't compressed */
+const COMPRESSION_THRESHOLD = 1024;
+
+/**
+ * @typedef {object} WebSocketServerOptions
+ * @prop {boolean} [noServer] Only `true` is supported, upgrades are passed in through `handleUpgrade`
+ * @prop {boolean} [perMessageDeflate] Compress messages if the client supports it (default `false`)
+ * @prop {number} [maxPayload] Largest message in bytes (default `104857600`, 100 MiB). Larger messages close the connection with `1009`
+ */
+
+class WebSocketServer extends EventEmitter {
+	/** @type {Required<WebSocketServerOptions>} */
+	options;
+
+	/** @type {Set<WebSocket>} */
+	clients = new Set();
+
+	/**
+	 * @param {WebSocketServerOptions} [options]
+	 */
+	constructor(options) {
+		super();
+		this.options = {
+			noServer: true,
+			perMessageDeflate: options?.perMessageDeflate ?? false,
+			maxPayload: options?.maxPayload ?? 100 * 1024 * 1024
+		};
+	}
+
+	/**
+	 * Finish the opening handshake, or respond with an error and close the socket
+	 * @param {import("http").IncomingMessage} request
+	 * @param {import("stream").Duplex} socket
+	 * @param {Buffer} head Data received after the request headers
+	 * @param {(websocket:WebSocket, request:import("http").IncomingMessage)=>void} callback
+	 */
+	handleUpgrade(request, socket, head, callback) {
+		socket.on("error", () => socket.destroy());
+
+		let key = request.headers["sec-websocket-key"];
+		let version = request.headers["sec-websocket-version"];
+
+		if (
+			request.method != "GET" ||
+			request.headers["upgrade"]?.toLowerCase() != "websocket" ||
+			/(^|,)\s*upgrade\s*(,|$)/i.test(request.headers["connection"] ?? "") == false ||
+			!key || Buffer.from(key, "base64").length != 16
+		) {
+			abortHandshake(socket, 400, "Bad Request");
+			return;
+		}
+		if (version != "13") {
+			abortHandshake(socket, 426, "Upgrade Required", { "Sec-WebSocket-Version": "13" });
+			return;
+		}
+
+		let headers = [
+			"HTTP/1.1 101 Switching Protocols",
+			"Upgrade: websocket",
+			"Connection: Upgrade",
+			"Sec-WebSocket-Accept: "+crypto.createHash("sha1").update(key+GUID).digest("base64")
+		];
+
+		let protocol = request.headers["sec-websocket-protocol"]?.split(",")[0]?.trim();
+		if (protocol) headers.push("Sec-WebSocket-Protocol: "+protocol);
+
+		let deflate = this.options.perMessageDeflate ? negotiateDeflate(request.headers["sec-websocket-extensions"]) : null;
+		if (deflate) headers.push("Sec-WebSocket-Extensions: "+deflate.response);
+
+		socket.write(headers.join("\r\n")+"\r\n\r\n");
+
+		let websocket = new WebSocket(socket, { maxPayload: this.options.maxPayload, deflate, protocol: protocol ?? "" });
+		this.clients.add(websocket);
+		websocket.on("close", () => this.clients.delete(websocket));
+
+		callback(websocket, request);
+		if (head.length > 0) websocket._receive(head); // Frames sent along with the handshake, once `callback` has added listeners
+	}
+}
+
+class WebSocket extends EventEmitter {
+	static CONNECTING = 0;
+	static OPEN = 1;
+	static CLOSING = 2;
+	static CLOSED = 3;
+
+	CONNECTING = 0;
+	OPEN = 1;
+	CLOSING = 2;
+	CLOSED = 3;
+
+	/** @type {0|1|2|3} */
+	readyState = WebSocket.OPEN;
+
+	/** @type {string} The subprotocol that was agreed on */
+	protocol;
+
+	/** @type {import("stream").Duplex} */
+	#socket;
+
+	/** @type {{ maxPayload:number, deflate:?{ serverWindowBits:number } }} */
+	#options;
+
+	/** Bytes that haven't been parsed yet */
+	#buffer = Buffer.alloc(0);
+
+	/** @type {?{ opcode:number, compressed:boolean, chunks:Buffer[], length:number }} A fragmented message */
+	#message = null;
+
+	#closeSent = false;
+	#closeCode = 1006;
+	#closeReason = Buffer.alloc(0);
+
+	/** @type {?NodeJS.Timeout} */
+	#closeTimer = null;
+
+	/**
+	 * @param {import("stream").Duplex} socket
+	 * @param {{ maxPayload:number, deflate:?{ serverWindowBits:number }, protocol:string }} options
+	 */
+	constructor(socket, options) {
+		super();
+		this.#socket = socket;
+		this.#options = options;
+		this.protocol = options.protocol;
+
+		socket.setNoDelay?.(true);
+		socket.setTimeout?.(0);
+
+		socket.on("data", data => this._receive(data));
+		socket.on("end", () => socket.end());
+		socket.on("close", () => {
+			clearTimeout(this.#closeTimer);
+			this.readyState = WebSocket.CLOSED;
+			this.emit("close", this.#closeCode, this.#closeReason);
+		});
+	}
+
+	/**
+	 * @param {string|Buffer|ArrayBuffer|ArrayBufferView} data Strings are sent as text, anything else as binary
+	 * @param {{ binary?:boolean, compress?:boolean }|((error?:Error)=>void)} [options]
+	 * @param {(error?:Error)=>void} [callback]
+	 */
+	send(data, options, callback) {
+		if (typeof options == "function") {
+			callback = options;
+			options = {};
+		}
+
+		if (this.readyState != WebSocket.OPEN) {
+			let error = new Error(`WebSocket is not open: readyState ${this.readyState}`);
+			if (callback) process.nextTick(callback, error);
+			return;
+		}
+
+		let isText = typeof data == "string" && options?.binary != true;
+		let payload = toBuffer(data);
+		let compressed = false;
+
+		if (this.#options.deflate && options?.compress != false && payload.length >= COMPRESSION_THRESHOLD) {
+			payload = zlib.deflateRawSync(payload, {
+				windowBits: this.#options.deflate.serverWindowBits,
+				finishFlush: zlib.constants.Z_SYNC_FLUSH
+			});
+			payload = payload.subarray(0, payload.length - 4); // Remove the 00 00 ff ff that ends every flush
+			compressed = true;
+		}
+
+		this.#write(isText ? OPCODES.TEXT : OPCODES.BINARY, payload, compressed, callback);
+	}
+
+	/**
+	 * @param {string|Buffer} [data] Up to 125 bytes
+	 */
+	ping(data = Buffer.alloc(0)) {
+		if (this.readyState != WebSocket.OPEN) return;
+		this.#write(OPCODES.PING, toBuffer(data).subarray(0, 125));
+	}
+
+	/**
+	 * @param {string|Buffer} [data] Up to 125 bytes
+	 */
+	pong(data = Buffer.alloc(0)) {
+		if (this.readyState != WebSocket.OPEN) return;
+		this.#write(OPCODES.PONG, toBuffer(data).subarray(0, 125));
+	}
+
+	/**
+	 * Start the closing handshake
+	 * @param {number} [code] Default `1000`
+	 * @param {string|Buffer} [reason] Up to 123 bytes
+	 */
+	close(code = 1000, reason = "") {
+		if (this.readyState == WebSocket.CLOSED) return;
+		if (this.#closeSent) return;
+
+		let reasonBytes = toBuffer(reason).subarray(0, 123);
+		let payload = Buffer.alloc(2 + reasonBytes.length);
+		payload.writeUInt16BE(code, 0);
+		reasonBytes.copy(payload, 2);
+
+		this.#closeSent = true;
+		this.readyState = WebSocket.CLOSING;
+		this.#write(OPCODES.CLOSE, payload);
+
+		this.#closeTimer = setTimeout(() => this.#socket.destroy(), CLOSE_TIMEOUT);
+		this.#closeTimer.unref();
+	}
+
+	/** Close the connection without a closing handshake */
+	terminate() {
+		this.readyState = WebSocket.CLOSING;
+		this.#socket.destroy();
+	}
+
+	/**
+	 * Parse as many frames as possible
+	 * @param {Buffer} data
+	 */
+	_receive(data) {
+		this.#buffer = this.#buffer.length == 0 ? data : Buffer.concat([this.#buffer, data]);
+
+		while (this.readyState != WebSocket.CLOSED && this.#socket.destroyed == false) {
+			let frame = this.#parseFrame();
+			if (!frame) return;
+			this.#handleFrame(frame);
+		}
+	}
+
+	/**
+	 * @returns {?{ fin:boolean, rsv1:boolean, opcode:number, payload:Buffer }} `null` if the frame hasn't been fully received
+	 */
+	#parseFrame() {
+		let buffer = this.#buffer;
+		if (buffer.length < 2) return null;
+
+		let fin = (buffer[0] & 0x80) != 0;
+		let rsv1 = (buffer[0] & 0x40) != 0;
+		let rsv23 = buffer[0] & 0x30;
+		let opcode = buffer[0] & 0x0f;
+		let masked = (buffer[1] & 0x80) != 0;
+		let length = buffer[1] & 0x7f;
+		let offset = 2;
+
+		if (length == 126) {
+			if (buffer.length < 4) return null;
+			length = buffer.readUInt16BE(2);
+			offset = 4;
+		} else if (length == 127) {
+			if (buffer.length < 10) return null;
+			let high = buffer.readUInt32BE(2);
+			if (high > 0x1fffff) return this.#fail(1009, "Message too large"); // Bigger than Number.MAX_SAFE_INTEGER
+			length = high * 2 ** 32 + buffer.readUInt32BE(6);
+			offset = 10;
+		}
+
+		if (rsv23 || (rsv1 && !this.#options.deflate)) return this.#fail(1002, "Unexpected reserved bits");
+		if (!masked) return this.#fail(1002, "Client frames must be masked");
+		if (opcode >= 0x8) {
+			if (!fin || length > 125) return this.#fail(1002, "Invalid control frame");
+			if (rsv1) return this.#fail(1002, "Control frames can't be compressed");
+		}
+		if ([0x0, 0x1, 0x2, 0x8, 0x9, 0xa].includes(opcode) == false) return this.#fail(1002, "Unknown opcode");
+		if (length + (this.#message?.length ?? 0) > this.#options.maxPayload) return this.#fail(1009, "Message too large");
+
+		if (buffer.length < offset + 4 + length) return null;
+
+		let mask = buffer.subarray(offset, offset + 4);
+		let payload = Buffer.from(buffer.subarray(offset + 4, offset + 4 + length));
+		for (let i = 0; i < payload.length; i ++) payload[i] ^= mask[i & 3];
+
+		this.#buffer = buffer.subarray(offset + 4 + length);
+		return { fin, rsv1, opcode, payload };
+	}
+
+	/**
+	 * @param {{ fin:boolean, rsv1:boolean, opcode:number, payload:Buffer }} frame
+	 */
+	#handleFrame(frame) {
+		switch (frame.opcode) {
+			case OPCODES.PING:
+				this.pong(frame.payload);
+				this.emit("ping", frame.payload);
+				return;
+
+			case OPCODES.PONG:
+				this.emit("pong", frame.payload);
+				return;
+
+			case OPCODES.CLOSE:
+				this.#handleClose(frame.payload);
+				return;
+
+			case OPCODES.CONTINUATION:
+				if (!this.#message) return this.#fail(1002, "Unexpected continuation frame");
+				if (frame.rsv1) return this.#fail(1002, "Only the first frame of a message can be compressed");
+				break;
+
+			default: // Text or binary
+				if (this.#message) return this.#fail(1002, "Expected a continuation frame");
+				this.#message = { opcode: frame.opcode, compressed: frame.rsv1, chunks: [], length: 0 };
+		}
+
+		this.#message.chunks.push(frame.payload);
+		this.#message.length += frame.payload.length;
+		if (!frame.fin) return;
+
+		let { opcode, compressed, chunks } = this.#message;
+		this.#message = null;
+
+		let data = Buffer.concat(chunks);
+		if (compressed) {
+			try {
+				data = zlib.inflateRawSync(Buffer.concat([data, Buffer.from([0x00, 0x00, 0xff, 0xff])]), {
+					finishFlush: zlib.constants.Z_SYNC_FLUSH,
+					maxOutputLength: this.#options.maxPayload
+				});
+			} catch (error) {
+				if (error.code == "ERR_BUFFER_TOO_LARGE") return this.#fail(1009, "Message too large");
+				return this.#fail(1007, "Invalid compressed data");
+			}
+		}
+
+		let isBinary = opcode == OPCODES.BINARY;
+		if (!isBinary && isUtf8(data) == false) return this.#fail(1007, "Invalid UTF-8");
+
+		this.emit("message", data, isBinary);
+	}
+
+	/**
+	 * @param {Buffer} payload
+	 */
+	#handleClose(payload) {
+		let code = 1005; // No status code
+		let reason = Buffer.alloc(0);
+
+		if (payload.length == 1) return this.#fail(1002, "Invalid close frame");
+		if (payload.length >= 2) {
+			code = payload.readUInt16BE(0);
+			reason = payload.subarray(2);
+			if (isValidCloseCode(code) == false) return this.#fail(1002, "Invalid close code");
+			if (isUtf8(reason) == false) return this.#fail(1007, "Invalid UTF-8");
+		}
+
+		this.#closeCode = code;
+		this.#closeReason = reason;
+
+		if (!this.#closeSent) this.close(code == 1005 ? 1000 : code, reason);
+		this.#socket.end();
+	}
+
+	/**
+	 * Close the connection because the client broke the protocol
+	 * @param {number} code
+	 * @param {string} reason
+	 * @returns {null}
+	 */
+	#fail(code, reason) {
+		this.#buffer = Buffer.alloc(0);
+		this.#closeCode = code;
+		this.#closeReason = Buffer.from(reason);
+
+		let error = new RangeError(reason);
+		error.code = code;
+		this.emit("error", error);
+
+		this.close(code, reason);
+		this.#socket.end();
+		return null;
+	}
+
+	/**
+	 * Write an unmasked frame
+	 * @param {number} opcode
+	 * @param {Buffer} payload
+	 * @param {boolean} [compressed]
+	 * @param {(error?:Error)=>void} [callback]
+	 */
+	#write(opcode, payload, compressed = false, callback) {
+		let header;
+		if (payload.length < 126) {
+			header = Buffer.alloc(2);
+			header[1] = payload.length;
+		} else if (payload.length < 65536) {
+			header = Buffer.alloc(4);
+			header[1] = 126;
+			header.writeUInt16BE(payload.length, 2);
+		} else {
+			header = Buffer.alloc(10);
+			header[1] = 127;
+			header.writeUInt32BE(Math.floor(payload.length / 2 ** 32), 2);
+			header.writeUInt32BE(payload.length % 2 ** 32, 6);
+		}
+		header[0] = 0x80 | (compressed ? 0x40 : 0) | opcode;
+
+		this.#socket.write(Buffer.concat([header, payload]), callback);
+	}
+}
+
+/**
+ * Accept the first permessage-deflate offer that can be used
+ * @param {string} [header] `Sec-WebSocket-Extensions` request header
+ * @returns {?{ response:string, serverWindowBits:number }}
+ */
+function negotiateDeflate(header) {
+	if (!header) return null;
+
+	for (let offer of header.split(",")) {
+		let [name, ...params] = offer.split(";").map(part => part.trim());
+		if (name != "permessage-deflate") continue;
+
+		let serverWindowBits = 15;
+		let valid = true;
+
+		for (let param of params) {
+			let [key, value] = param.split("=").map(part => part.trim().replace(/^"|"$/g, ""));
+			if (key == "server_max_window_bits") {
+				serverWindowBits = Number(value);
+				if (Number.isInteger(serverWindowBits) == false || serverWindowBits < 9 || serverWindowBits > 15) valid = false; // zlib can't use 8
+			} else if (["client_max_window_bits", "server_no_context_takeover", "client_no_context_takeover"].includes(key) == false) {
+				valid = false;
+			}
+		}
+		if (!valid) continue;
+
+		// Every message is compressed on its own, so neither side needs to keep a context
+		let response = "permessage-deflate; server_no_context_takeover; client_no_context_takeover";
+		if (serverWindowBits != 15) response += "; server_max_window_bits="+serverWindowBits;
+		return { response, serverWindowBits };
+	}
+	return null;
+}
+
+/**
+ * @param {number} code
+ * @returns {boolean} If the code can be sent in a close frame
+ */
+function isValidCloseCode(code) {
+	return (code >= 1000 && code <= 1003) || (code >= 1007 && code <= 1014) || (code >= 3000 && code <= 4999);
+}
+
+/**
+ * @param {import("stream").Duplex} socket
+ * @param {number} status
+ * @param {string} message
+ * @param {Object<string, string>} [headers]
+ */
+function abortHandshake(socket, status, message, headers = {}) {
+	let lines = [`HTTP/1.1 ${status} ${message}`, "Connection: close", ...Object.entries(headers).map(([name, value]) => name+": "+value)];
+	socket.end(lines.join("\r\n")+"\r\n\r\n");
+}
+
+/**
+ * @param {string|Buffer|ArrayBuffer|ArrayBufferView} data
+ * @returns {Buffer}
+ */
+function toBuffer(data) {
+	if (Buffer.isBuffer(data)) return data;
+	if (typeof data == "string") return Buffer.from(data);
+	if (data instanceof ArrayBuffer) return Buffer.from(data);
+	if (ArrayBuffer.isView(data)) return Buffer.from(data.buffer, data.byteOffset, data.byteLength);
+	return Buffer.from(String(data));
+}
+
+module.exports = { WebSocketServer, WebSocket };
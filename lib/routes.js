@@ -0,0 +1,189 @@
+/**
+ * @typedef {object} RouteSegment
+ * @prop {"static"|"param"|"optional"|"wildcard"} type
+ * @prop {string} value Static text, or the parameter name
+ */
+
+/**
+ * @typedef {object} Route
+ * @prop {string} key Unique key used by `Server.getEndpoints()`
+ * @prop {"static"|"regexp"|"wildcard"|"catchall"} type
+ * @prop {?RouteSegment[]} segments Only for string paths
+ * @prop {?RegExp} regexp Only for RegExp paths
+ * @prop {number} order Registration order, used to break ties
+ */
+
+/** Lower ranks are tried first */
+const TYPE_RANKS = { static: 0, regexp: 1, wildcard: 2, catchall: 3 };
+const SEGMENT_SCORES = { static: 3, param: 2, optional: 1, wildcard: 0 };
+
+let routeCount = 0;
+
+module.exports = {
+
+	/**
+	 * Turn an endpoint path into a `Route`
+	 *
+	 * - `"/users/me"` Static segments
+	 * - `"/users/:id"` Named parameter, exposed as `request.params.id`
+	 * - `"/posts/:page?"` Optional parameter
+	 * - `"/assets/*rest"` Trailing wildcard, matches the rest of the path (`"/assets/*"` exposes it as `request.params["*"]`)
+	 * - `/^\/v(\d+)\/(?<name>.*)$/` RegExp, named groups are exposed by name and all groups by index
+	 * - `"*"` Catch-all, only used when nothing else matches
+	 * @param {string|RegExp} path
+	 * @returns {Route}
+	 */
+	compile(path) {
+		let order = routeCount ++;
+
+		if (path instanceof RegExp) {
+			return { key: path.toString(), type: "regexp", segments: null, regexp: path, order };
+		}
+
+		if (path == "*") {
+			return { key: path, type: "catchall", segments: null, regexp: null, order };
+		}
+
+		let segments = [];
+		let parts = splitPath(path);
+
+		for (let i = 0; i < parts.length; i ++) {
+			let part = parts[i];
+
+			if (part.startsWith("*")) {
+				if (i != parts.length - 1) throw new Error(`Wildcards must be the last segment of a path: "${path}"`);
+				segments.push({ type: "wildcard", value: part.slice(1) || "*" });
+
+			} else if (part.startsWith(":") && part.endsWith("?")) {
+				segments.push({ type: "optional", value: part.slice(1, -1) });
+
+			} else if (part.startsWith(":")) {
+				segments.push({ type: "param", value: part.slice(1) });
+
+			} else {
+				segments.push({ type: "static", value: safeDecode(part) ?? part });
+			}
+		}
+
+		let type = segments.at(-1)?.type == "wildcard" ? "wildcard" : "static";
+
+		return { key: path, type, segments, regexp: null, order };
+	},
+
+	/**
+	 * Match a request pathname against a route
+	 * @param {Route} route
+	 * @param {string} pathname Raw (still URI encoded) pathname of the request
+	 * @returns {?Object<string, string>} The matched parameters, or `null` if the route doesn't match
+	 */
+	match(route, pathname) {
+		if (route.type == "catchall") return {};
+
+		if (route.type == "regexp") {
+			let decoded = safeDecode(pathname, decodeURI);
+			if (decoded == null) return null;
+
+			let result = route.regexp.exec(decoded);
+			if (!result) return null;
+
+			let params = {};
+			for (let i = 1; i < result.length; i ++) {
+				params[i - 1] = result[i];
+			}
+			Object.assign(params, result.groups);
+			return params;
+		}
+
+		let parts = [];
+		for (let part of splitPath(pathname)) {
+			let decoded = safeDecode(part);
+			if (decoded == null) return null;
+			parts.push(decoded);
+		}
+
+		return matchSegments(route.segments, 0, parts, 0, {});
+	},
+
+	/**
+	 * Sort comparator ordering routes from most to least specific
+	 * @param {Route} a
+	 * @param {Route} b
+	 * @returns {number}
+	 */
+	compare(a, b) {
+		if (a.type != b.type) return TYPE_RANKS[a.type] - TYPE_RANKS[b.type];
+
+		if (a.segments && b.segments) {
+			let length = Math.max(a.segments.length, b.segments.length);
+
+			for (let i = 0; i < length; i ++) {
+				let scoreA = a.segments[i] ? SEGMENT_SCORES[a.segments[i].type] : -1;
+				let scoreB = b.segments[i] ? SEGMENT_SCORES[b.segments[i].type] : -1;
+				if (scoreA != scoreB) return scoreB - scoreA;
+			}
+		}
+
+		return a.order - b.order;
+	}
+
+}
+
+/**
+ * Split a path into its segments, ignoring leading and trailing slashes
+ * @param {string} path
+ * @returns {string[]}
+ */
+function splitPath(path) {
+	path = path.replace(/^\/+|\/+$/g, "");
+	return path == "" ? [] : path.split("/");
+}
+
+/**
+ * @param {string} text
+ * @param {(text:string)=>string} decoder
+ * @returns {?string} `null` if `text` is malformed
+ */
+function safeDecode(text, decoder = decodeURIComponent) {
+	try {
+		return decoder(text);
+	} catch (error) {
+		return null;
+	}
+}
+
+/**
+ * @param {RouteSegment[]} segments
+ * @param {number} segmentIndex
+ * @param {string[]} parts
+ * @param {number} partIndex
+ * @param {Object<string, string>} params
+ * @returns {?Object<string, string>}
+ */
+function matchSegments(segments, segmentIndex, parts, partIndex, params) {
+	if (segmentIndex == segments.length) {
+		return partIndex == parts.length ? params : null;
+	}
+
+	let segment = segments[segmentIndex];
+	let part = parts[partIndex];
+
+	switch (segment.type) {
+		case "wildcard":
+			return { ...params, [segment.value]: parts.slice(partIndex).join("/") };
+
+		case "optional":
+			if (part != undefined) {
+				let matched = matchSegments(segments, segmentIndex + 1, parts, partIndex + 1, { ...params, [segment.value]: part });
+				if (matched) return matched;
+			}
+			return matchSegments(segments, segmentIndex + 1, parts, partIndex, params);
+
+		case "param":
+			if (part == undefined) return null;
+			return matchSegments(segments, segmentIndex + 1, parts, partIndex + 1, { ...params, [segment.value]: part });
+
+		default:
+			if (part != segment.value) return null;
+			return matchSegments(segments, segmentIndex + 1, parts, partIndex + 1, params);
+	}
+}
@@ -0,0 +1,386 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const crypto = require("crypto");
+const cookies = require("./cookies.js");
+
+/**
+ * @typedef {object} SessionRecord
+ * @prop {Object<string, any>} data
+ * @prop {number} expires Timestamp in milliseconds
+ */
+
+/**
+ * Where sessions are kept. Every method can return a promise.
+ * @typedef {object} SessionStore
+ * @prop {(id:string)=>?SessionRecord|Promise<?SessionRecord>} get Return `null` if the session doesn't exist or has expired
+ * @prop {(id:string, record:SessionRecord)=>void|Promise<void>} set
+ * @prop {(id:string)=>void|Promise<void>} destroy
+ * @prop {(id:string, expires:number)=>void|Promise<void>} [touch] Change when a session expires, without saving its data again
+ */
+
+/**
+ * @typedef {object} SessionOptions
+ * @prop {SessionStore} [store] Default `new MemoryStore()`
+ * @prop {string} [name] Name of the session cookie (default `"session"`)
+ * @prop {string|string[]} [secret] Used to sign the session cookie, default `Server.cookie.secrets` (which must then be set before the server is created)
+ * @prop {number} [maxAge] Seconds until a session expires (default `86400`, one day)
+ * @prop {boolean} [rolling] Reset the expiry on every response, so only unused sessions expire (default `false`)
+ * @prop {Pick<import("./cookies.js").CookieOptions, "domain"|"path"|"secure"|"httpOnly"|"sameSite"|"partitioned">} [cookie]
+ * Options for the session cookie, `path` is `"/"`, `httpOnly` is `true` and `sameSite` is `"Lax"` by default
+ */
+
+/** How often stores remove expired sessions */
+const PRUNE_INTERVAL = 10 * 60 * 1000;
+
+class Session {
+	/** @type {string} */
+	id;
+
+	/** @type {Object<string, any>} Anything that can be saved as JSON */
+	data = {};
+
+	/** @type {Date} */
+	expires;
+
+	/** @type {boolean} If the session was created by this request */
+	isNew;
+
+	/** @type {Sessions} */
+	#manager;
+
+	/** The data as it was loaded, to check if it was changed */
+	#snapshot;
+
+	/** @type {?string} The ID the client sent, if it must be replaced or removed */
+	#previousId = null;
+
+	#regenerated = false;
+	#destroyed = false;
+
+	/**
+	 * @param {Sessions} manager
+	 * @param {string} id
+	 * @param {?SessionRecord} record `null` for a new session
+	 */
+	constructor(manager, id, record) {
+		this.#manager = manager;
+		this.id = id;
+		this.isNew = record == null;
+		this.data = record?.data ?? {};
+		this.expires = new Date(record && !manager.options.rolling ? record.expires : Date.now() + manager.options.maxAge * 1000);
+		this.#snapshot = JSON.stringify(this.data);
+	}
+
+	get isDestroyed() {
+		return this.#destroyed;
+	}
+
+	get isModified() {
+		return this.#regenerated || JSON.stringify(this.data) != this.#snapshot;
+	}
+
+	/**
+	 * Give the session a new ID, keeping its data. Do this after logging in, so an ID from before can't be reused.
+	 * @returns {Promise<void>}
+	 */
+	async regenerate() {
+		if (!this.isNew) {
+			this.#previousId ??= this.id;
+			await this.#manager.options.store.destroy(this.id);
+		}
+		this.id = Sessions.createId();
+		this.expires = new Date(Date.now() + this.#manager.options.maxAge * 1000);
+		this.#regenerated = true;
+		this.#destroyed = false;
+	}
+
+	/**
+	 * Remove the session from the store and the client
+	 * @returns {Promise<void>}
+	 */
+	async destroy() {
+		await this.#manager.options.store.destroy(this.id);
+		if (!this.isNew) this.#previousId ??= this.id;
+		this.data = {};
+		this.#destroyed = true;
+	}
+
+	/**
+	 * Save the session now, instead of when the response ends. Needed for websockets.
+	 * @returns {Promise<void>}
+	 */
+	async save() {
+		if (this.#destroyed) return;
+		await this.#manager.options.store.set(this.id, { data: this.data, expires: this.expires.getTime() });
+		this.#snapshot = JSON.stringify(this.data);
+		this.#regenerated = false;
+		this.isNew = false;
+	}
+
+	/**
+	 * Which cookie the client needs
+	 * @returns {"set"|"clear"|null}
+	 */
+	_cookieAction() {
+		if (this.#destroyed) return this.#previousId ? "clear" : null;
+		if (this.isNew && this.isModified == false) return null;
+		if (this.isNew || this.#regenerated || this.#previousId || this.#manager.options.rolling) return "set";
+		return null;
+	}
+}
+
+class Sessions {
+	/** @type {Required<Omit<SessionOptions, "secret">> & { secret?:string|string[] }} */
+	options;
+
+	/**
+	 * @param {SessionOptions} [options]
+	 * @throws {Error} If there's no secret to sign the session cookie with
+	 */
+	constructor(options = {}) {
+		if ([options.secret ?? cookies.secrets].flat().filter(Boolean).length == 0) {
+			throw new Error("Sessions need a secret to sign their cookie, set Server.cookie.secrets before creating the server, or pass { sessions: { secret } }");
+		}
+
+		this.options = {
+			store: options.store ?? new MemoryStore(),
+			name: options.name ?? "session",
+			secret: options.secret,
+			maxAge: options.maxAge ?? 24 * 60 * 60,
+			rolling: options.rolling ?? false,
+			cookie: { path: "/", httpOnly: true, sameSite: "Lax", ...options.cookie }
+		};
+	}
+
+	/**
+	 * Load the session for a request into `request.session`
+	 * @param {import("..").ServerRequest} request
+	 * @returns {Promise<Session>}
+	 */
+	async attach(request) {
+		if (request.session) return request.session;
+
+		let id = cookies.get(request, this.options.name, { signed: true, secret: this.options.secret });
+		let record = id ? await this.options.store.get(id) : null;
+		if (record && record.expires <= Date.now()) record = null;
+
+		request.session = new Session(this, record ? id : Sessions.createId(), record);
+		return request.session;
+	}
+
+	/**
+	 * Save the session, if needed, when the response ends
+	 * @param {Session} session
+	 * @returns {Promise<void>}
+	 */
+	async commit(session) {
+		if (session.isDestroyed) return;
+
+		if (session.isModified) {
+			await session.save();
+		} else if (this.options.rolling && !session.isNew) {
+			let store = this.options.store;
+			if (store.touch) await store.touch(session.id, session.expires.getTime());
+			else await store.set(session.id, { data: session.data, expires: session.expires.getTime() });
+		}
+	}
+
+	/**
+	 * Add the session cookie to a response, if it changed
+	 * @param {Session} session
+	 * @param {import("..").ServerResult} result
+	 */
+	setCookie(session, result) {
+		let action = session._cookieAction();
+		if (action == "clear") {
+			cookies.clear(this.options.name, result, this.options.cookie);
+		} else if (action == "set") {
+			cookies.set(this.options.name, session.id, result, {
+				...this.options.cookie,
+				expires: session.expires,
+				signed: true,
+				secret: this.options.secret
+			});
+		}
+	}
+
+	/**
+	 * Middleware that loads `request.session`, and saves it when the response ends
+	 * @returns {import("..").ServerMiddlewareFunction}
+	 */
+	middleware() {
+		return async (request, result, next) => {
+			if (request.session) { // Already loaded by a server above this one
+				next();
+				return;
+			}
+
+			let session = await this.attach(request);
+
+			let cookieSent = false;
+			const sendCookie = () => {
+				if (cookieSent || result.headersSent) return;
+				cookieSent = true;
+				this.setCookie(session, result);
+			};
+
+			let writeHead = result.writeHead;
+			result.writeHead = (...args) => {
+				sendCookie();
+				return writeHead.apply(result, args);
+			};
+
+			let end = result.end;
+			result.end = (...args) => {
+				sendCookie();
+				// Memory stores have saved by the time this returns. Await `request.session.save()` first for slower stores.
+				this.commit(session).catch(error => console.error(error));
+				return end.apply(result, args);
+			};
+
+			next();
+		};
+	}
+
+	/**
+	 * @returns {string} A random, URL safe ID
+	 */
+	static createId() {
+		return crypto.randomBytes(24).toString("base64url");
+	}
+}
+
+/**
+ * Keeps sessions in memory, so they are lost when the process stops
+ * @implements {SessionStore}
+ */
+class MemoryStore {
+	/** @type {Map<string, SessionRecord>} */
+	#sessions = new Map();
+	#lastPrune = Date.now();
+
+	/** @param {string} id */
+	get(id) {
+		let record = this.#sessions.get(id);
+		if (!record) return null;
+		if (record.expires <= Date.now()) {
+			this.#sessions.delete(id);
+			return null;
+		}
+		return structuredClone(record);
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {SessionRecord} record
+	 */
+	set(id, record) {
+		this.#sessions.set(id, structuredClone(record));
+		if (Date.now() - this.#lastPrune > PRUNE_INTERVAL) this.prune();
+	}
+
+	/** @param {string} id */
+	destroy(id) {
+		this.#sessions.delete(id);
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {number} expires
+	 */
+	touch(id, expires) {
+		let record = this.#sessions.get(id);
+		if (record) record.expires = expires;
+	}
+
+	/** Remove expired sessions */
+	prune() {
+		this.#lastPrune = Date.now();
+		for (let [id, record] of this.#sessions) {
+			if (record.expires <= this.#lastPrune) this.#sessions.delete(id);
+		}
+	}
+}
+
+/**
+ * Keeps each session in a JSON file, so they survive restarts
+ * @implements {SessionStore}
+ */
+class FileStore {
+	/** @type {string} */
+	directory;
+	#lastPrune = 0;
+
+	/**
+	 * @param {{ directory?:string }} [options] Default directory is `<os temp directory>/http-simple-server-sessions`
+	 */
+	constructor(options) {
+		this.directory = path.resolve(options?.directory ?? path.join(os.tmpdir(), "http-simple-server-sessions"));
+		fs.mkdirSync(this.directory, { recursive: true });
+	}
+
+	/** @param {string} id */
+	async get(id) {
+		let record;
+		try {
+			record = JSON.parse(await fs.promises.readFile(this.#file(id), "utf-8"));
+		} catch (error) {
+			return null; // Missing, or cut short by a crash
+		}
+
+		if (record.expires <= Date.now()) {
+			await this.destroy(id);
+			return null;
+		}
+		return record;
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {SessionRecord} record
+	 */
+	async set(id, record) {
+		let file = this.#file(id);
+		let temporary = file+"."+crypto.randomUUID()+".tmp";
+
+		await fs.promises.writeFile(temporary, JSON.stringify(record));
+		await fs.promises.rename(temporary, file); // Readers never see a half written file
+
+		if (Date.now() - this.#lastPrune > PRUNE_INTERVAL) this.prune().catch(error => console.error(error));
+	}
+
+	/** @param {string} id */
+	async destroy(id) {
+		await fs.promises.rm(this.#file(id), { force: true });
+	}
+
+	/**
+	 * @param {string} id
+	 * @param {number} expires
+	 */
+	async touch(id, expires) {
+		let record = await this.get(id);
+		if (record) await this.set(id, { ...record, expires });
+	}
+
+	/** Remove expired sessions */
+	async prune() {
+		this.#lastPrune = Date.now();
+		for (let name of await fs.promises.readdir(this.directory)) {
+			if (name.endsWith(".json") == false) continue;
+			await this.get(name.slice(0, -".json".length));
+		}
+	}
+
+	/**
+	 * @param {string} id
+	 * @returns {string}
+	 */
+	#file(id) {
+		if (/^[\w-]+$/.test(id) == false) throw new Error(`Invalid session ID: "${id}"`);
+		return path.join(this.directory, id+".json");
+	}
+}
+
+module.exports = { Session, Sessions, MemoryStore, FileStore };
@@ -0,0 +1,151 @@
+/**
+ * Log message templates, without `eval`.
+ *
+ * Placeholders look like `{{data.url}}` or `{{STYLES.red}}`, and can be passed through filters: `{{data.method | upper | padEnd:7}}`.
+ * Only own properties of the given context can be read. Anything missing is replaced with an empty string.
+ */
+
+/**
+ * @typedef {(value:any, ...args:string[])=>any} TemplateFilter
+ */
+
+/** @type {Object<string, TemplateFilter>} */
+const filters = {
+	upper: value => String(value).toUpperCase(),
+	lower: value => String(value).toLowerCase(),
+	trim: value => String(value).trim(),
+	/** Pad the start, EG: `{{data.status | padStart:5}}`, `{{data.id | padStart:4:0}}` */
+	padStart: (value, length, character = " ") => String(value).padStart(Number(length), character),
+	/** Pad the end, EG: `{{data.method | padEnd:7}}` */
+	padEnd: (value, length, character = " ") => String(value).padEnd(Number(length), character),
+	/** Alias of `padEnd` */
+	pad: (value, length, character = " ") => String(value).padEnd(Number(length), character),
+	/** Cut text down to a length, EG: `{{data.url | truncate:40}}` */
+	truncate: (value, length) => {
+		value = String(value);
+		return value.length > Number(length) ? value.slice(0, Math.max(0, Number(length) - 1)) + "…" : value;
+	},
+	/** Used when the value is missing or empty, EG: `{{data.ip | default:unknown}}` */
+	default: (value, fallback = "") => (value == null || value === "") ? fallback : value,
+	json: value => JSON.stringify(value)
+};
+
+/** @type {Map<string, (context:object)=>string>} */
+const cache = new Map();
+
+const PLACEHOLDER = /\{\{(.*?)\}\}/g;
+const PATH = /^[A-Za-z_$][\w$]*(\.[\w$]+)*$/;
+
+module.exports = {
+
+	filters,
+
+	/**
+	 * Compile a template, throwing on invalid placeholders or unknown filters
+	 * @param {string} template
+	 * @returns {(context:object)=>string}
+	 */
+	compile(template) {
+		if (cache.has(template)) return cache.get(template);
+
+		let parts = [];
+		let lastIndex = 0;
+
+		for (let match of template.matchAll(PLACEHOLDER)) {
+			parts.push(template.slice(lastIndex, match.index));
+			parts.push(compilePlaceholder(match[1]));
+			lastIndex = match.index + match[0].length;
+		}
+		parts.push(template.slice(lastIndex));
+
+		const render = (context) => {
+			let output = "";
+			for (let part of parts) {
+				output += typeof part == "string" ? part : part(context);
+			}
+			return output;
+		};
+
+		cache.set(template, render);
+		return render;
+	},
+
+	/**
+	 * @param {string} template
+	 * @param {object} context Values that can be read by placeholders, EG: `{ data, STYLES }`
+	 * @returns {string}
+	 */
+	render(template, context) {
+		return module.exports.compile(template)(context);
+	}
+
+}
+
+/**
+ * @param {string} expression Text between `{{` and `}}`
+ * @returns {(context:object)=>string}
+ */
+function compilePlaceholder(expression) {
+	let [path, ...pipes] = splitOutsideQuotes(expression, "|").map(part => part.trim());
+
+	if (PATH.test(path) == false) throw new SyntaxError(`Invalid template placeholder: "{{${expression}}}"`);
+	let keys = path.split(".");
+
+	let steps = pipes.map((pipe) => {
+		let [name, ...args] = splitOutsideQuotes(pipe, ":").map(unquote);
+		name = name.trim();
+		if (Object.hasOwn(filters, name) == false) throw new SyntaxError(`Unknown template filter "${name}" in "{{${expression}}}"`);
+		return { name, args };
+	});
+
+	return (context) => {
+		let value = context;
+		for (let key of keys) {
+			if (value == null || typeof value != "object" || Object.hasOwn(value, key) == false) {
+				value = undefined;
+				break;
+			}
+			value = value[key];
+		}
+
+		for (let step of steps) {
+			value = filters[step.name](value, ...step.args);
+		}
+
+		return value == null ? "" : String(value);
+	};
+}
+
+/**
+ * @param {string} text
+ * @param {string} separator
+ * @returns {string[]}
+ */
+function splitOutsideQuotes(text, separator) {
+	let parts = [""];
+	let quote = null;
+
+	for (let character of text) {
+		if (quote) {
+			if (character == quote) quote = null;
+		} else if (character == "\"" || character == "'") {
+			quote = character;
+		} else if (character == separator) {
+			parts.push("");
+			continue;
+		}
+		parts[parts.length - 1] += character;
+	}
+
+	return parts;
+}
+
+/**
+ * @param {string} text
+ * @returns {string}
+ */
+function unquote(text) {
+	let trimmed = text.trim();
+	if (/^(["']).*\1$/.test(trimmed)) return trimmed.slice(1, -1);
+	return trimmed;
+}
@@ -0,0 +1,185 @@
+const fs = require("fs");
+const net = require("net");
+const crypto = require("crypto");
+
+/**
+ * @typedef {object} TLSOptions
+ * @prop {string|Buffer} key Private key, as PEM or a path to a PEM file
+ * @prop {string|Buffer} cert Certificate chain, as PEM or a path to a PEM file
+ * @prop {string|Buffer|(string|Buffer)[]} [ca] Trusted certificates, as PEM or paths to PEM files
+ * @prop {string} [passphrase] Passphrase for an encrypted `key`
+ * @prop {number} [redirectPort] Also listen for plain HTTP on this port, redirecting every request to HTTPS
+ */
+
+/**
+ * @typedef {object} SelfSignedOptions
+ * @prop {string[]} [hostnames] DNS names the certificate is valid for (default `["localhost", "*.localhost"]`)
+ * @prop {string[]} [ips] IP addresses the certificate is valid for (default `["127.0.0.1", "::1"]`)
+ * @prop {number} [days] How many days the certificate is valid for (default `365`)
+ */
+
+module.exports = {
+
+	/**
+	 * Read PEM files, so they can be passed to `https.createServer` or `tls.createSecureContext`
+	 * @param {TLSOptions} options
+	 * @returns {{ key:Buffer|string, cert:Buffer|string, ca?:(Buffer|string)[], passphrase?:string }}
+	 */
+	load(options) {
+		let loaded = { key: readPEM(options.key), cert: readPEM(options.cert) };
+
+		if (options.ca) loaded.ca = [options.ca].flat().map(readPEM);
+		if (options.passphrase) loaded.passphrase = options.passphrase;
+
+		return loaded;
+	},
+
+	/**
+	 * Create a self-signed certificate without any external tools (ECDSA P-256 with SHA-256).
+	 *
+	 * Browsers will still warn about it, unless it is added to the system's trusted certificates.
+	 * @param {SelfSignedOptions} [options]
+	 * @returns {{ key:string, cert:string }} PEM encoded private key and certificate
+	 */
+	selfSigned(options) {
+		let hostnames = options?.hostnames ?? ["localhost", "*.localhost"];
+		let ips = options?.ips ?? ["127.0.0.1", "::1"];
+		let days = options?.days ?? 365;
+
+		let { privateKey, publicKey } = crypto.generateKeyPairSync("ec", { namedCurve: "prime256v1" });
+
+		let now = Date.now();
+		let notBefore = new Date(now - 24 * 60 * 60 * 1000); // Allow for clocks that are slightly behind
+		let notAfter = new Date(now + days * 24 * 60 * 60 * 1000);
+
+		let name = sequence(set(sequence(oid("2.5.4.3"), tlv(0x0c, Buffer.from(hostnames[0] ?? "localhost")))));
+		let signatureAlgorithm = sequence(oid("1.2.840.10045.4.3.2")); // ecdsa-with-SHA256
+
+		let alternativeNames = [
+			...hostnames.map(hostname => tlv(0x82, Buffer.from(hostname))),
+			...ips.map(ip => tlv(0x87, ipBytes(ip)))
+		];
+
+		let extensions = sequence(
+			sequence(oid("2.5.29.19"), tlv(0x01, Buffer.from([0xff])), octetString(sequence())), // Basic constraints, critical, not a CA
+			sequence(oid("2.5.29.15"), tlv(0x01, Buffer.from([0xff])), octetString(tlv(0x03, Buffer.from([0x07, 0x80])))), // Key usage, critical, digitalSignature
+			sequence(oid("2.5.29.37"), octetString(sequence(oid("1.3.6.1.5.5.7.3.1")))), // Extended key usage, serverAuth
+			sequence(oid("2.5.29.17"), octetString(sequence(...alternativeNames))) // Subject alternative names
+		);
+
+		let serialNumber = crypto.randomBytes(16);
+		serialNumber[0] &= 0x7f; // Must be positive
+
+		let certificateInfo = sequence(
+			tlv(0xa0, integer(Buffer.from([2]))), // Version 3
+			integer(serialNumber),
+			signatureAlgorithm,
+			name,
+			sequence(time(notBefore), time(notAfter)),
+			name,
+			publicKey.export({ type: "spki", format: "der" }),
+			tlv(0xa3, extensions)
+		);
+
+		let signature = crypto.sign("sha256", certificateInfo, privateKey);
+		let certificate = sequence(certificateInfo, signatureAlgorithm, tlv(0x03, Buffer.concat([Buffer.from([0]), signature])));
+
+		return {
+			key: privateKey.export({ type: "pkcs8", format: "pem" }).toString(),
+			cert: "-----BEGIN CERTIFICATE-----\n"+certificate.toString("base64").match(/.{1,64}/g).join("\n")+"\n-----END CERTIFICATE-----\n"
+		};
+	}
+
+}
+
+/**
+ * @param {string|Buffer} value PEM, or a path to a PEM file
+ * @returns {string|Buffer}
+ */
+function readPEM(value) {
+	if (Buffer.isBuffer(value) || value.includes("-----BEGIN")) return value;
+	return fs.readFileSync(value);
+}
+
+/**
+ * Encode a DER type-length-value
+ * @param {number} tag
+ * @param {Buffer} value
+ * @returns {Buffer}
+ */
+function tlv(tag, value) {
+	let length;
+	if (value.length < 0x80) {
+		length = Buffer.from([value.length]);
+	} else {
+		let bytes = [];
+		for (let remaining = value.length; remaining > 0; remaining = Math.floor(remaining / 256)) bytes.unshift(remaining % 256);
+		length = Buffer.from([0x80 | bytes.length, ...bytes]);
+	}
+	return Buffer.concat([Buffer.from([tag]), length, value]);
+}
+
+/** @param {...Buffer} items */
+function sequence(...items) { return tlv(0x30, Buffer.concat(items)); }
+
+/** @param {...Buffer} items */
+function set(...items) { return tlv(0x31, Buffer.concat(items)); }
+
+/** @param {Buffer} value */
+function octetString(value) { return tlv(0x04, value); }
+
+/**
+ * @param {Buffer} bytes Big-endian, unsigned
+ * @returns {Buffer}
+ */
+function integer(bytes) {
+	if (bytes[0] & 0x80) bytes = Buffer.concat([Buffer.from([0]), bytes]);
+	return tlv(0x02, bytes);
+}
+
+/**
+ * @param {string} id Dotted object identifier, like `"2.5.4.3"`
+ * @returns {Buffer}
+ */
+function oid(id) {
+	let parts = id.split(".").map(Number);
+	let bytes = [parts[0] * 40 + parts[1]];
+
+	for (let part of parts.slice(2)) {
+		let encoded = [part & 0x7f];
+		for (part = Math.floor(part / 128); part > 0; part = Math.floor(part / 128)) encoded.unshift((part & 0x7f) | 0x80);
+		bytes.push(...encoded);
+	}
+	return tlv(0x06, Buffer.from(bytes));
+}
+
+/**
+ * UTCTime before 2050, GeneralizedTime after
+ * @param {Date} date
+ * @returns {Buffer}
+ */
+function time(date) {
+	let text = date.toISOString().replace(/[-:T]/g, "").replace(/\.\d+Z$/, "Z"); // YYYYMMDDHHMMSSZ
+	if (date.getUTCFullYear() < 2050) return tlv(0x17, Buffer.from(text.slice(2)));
+	return tlv(0x18, Buffer.from(text));
+}
+
+/**
+ * @param {string} ip
+ * @returns {Buffer}
+ */
+function ipBytes(ip) {
+	if (net.isIPv4(ip)) return Buffer.from(ip.split(".").map(Number));
+	if (net.isIPv6(ip) == false) throw new Error(`Invalid IP address: "${ip}"`);
+
+	let [head, tail] = ip.split("::");
+	let headGroups = head ? head.split(":") : [];
+	let tailGroups = tail ? tail.split(":") : [];
+	let groups = ip.includes("::")
+		? [...headGroups, ...new Array(8 - headGroups.length - tailGroups.length).fill("0"), ...tailGroups]
+		: headGroups;
+
+	let bytes = Buffer.alloc(16);
+	groups.forEach((group, i) => bytes.writeUInt16BE(parseInt(group, 16), i * 2));
+	return bytes;
+}
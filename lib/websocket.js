@@ -1,9 +1,20 @@
+const http = require("http");
 const Server = require("../index.js");
+const { RateLimiter } = require("./ratelimit.js");
+const inject = require("./inject.js");
 
 const WS_INSTALLED = checkRequire("ws");
 
+// Without the "ws" package, a built-in (slower, but complete) implementation is used
 const ws = WS_INSTALLED ? require("ws") : null;
-const WebSocketServer = ws?.Server ?? class {};
+const WebSocketServer = ws?.Server ?? require("./rfc6455.js").WebSocketServer;
+
+/**
+ * @typedef {object} WebsocketOptions
+ * @prop {boolean} [perMessageDeflate] Compress messages for clients that support it (default `false`)
+ * @prop {number} [maxPayload] Largest message in bytes (default `104857600`, 100 MiB)
+ * @prop {number} [heartbeat] Milliseconds between pings. Clients that don't answer before the next one are closed (default `30000`, `0` turns them off)
+ */
 
 /**
  * @typedef {object} WebsocketEventListener
@@ -11,8 +22,130 @@ const WebSocketServer = ws?.Server ?? class {};
  * @prop {(socket, request)=>void} callback
  */
 
-/** @type {Object<string, Websocket>} */
-const WEBSOCKETS = {};
+/**
+ * @typedef {WebsocketClient|import("ws")|(WebsocketClient|import("ws"))[]} WebsocketExcept Clients (or their sockets) to skip
+ */
+
+/** @type {WeakMap<Server, Object<string, Websocket>>} Websockets of each server and subdomain, by path */
+const WEBSOCKETS = new WeakMap();
+
+/** `readyState` of open sockets, for both "ws" and the built-in implementation */
+const OPEN = 1;
+
+class WebsocketClient {
+	/** @type {number} */
+	id;
+
+	/** @type {import("ws")} */
+	socket;
+
+	/** @type {import('..').ServerRequest} */
+	request;
+
+	/** @type {Object<string, any>} Anything the app wants to keep about the client, like a username */
+	data = {};
+
+	/** @type {Set<string>} Names of the rooms the client is in */
+	rooms = new Set();
+
+	/** If the client answered the last heartbeat ping */
+	isAlive = true;
+
+	/** @type {Websocket} */
+	#websocket;
+
+	/**
+	 * @param {number} id
+	 * @param {import("ws")} socket
+	 * @param {import('..').ServerRequest} request
+	 * @param {Websocket} websocket
+	 */
+	constructor(id, socket, request, websocket) {
+		this.id = id;
+		this.socket = socket;
+		this.request = request;
+		this.#websocket = websocket;
+	}
+
+	get ip() {
+		return Server.getIP(this.request);
+	}
+
+	/**
+	 * @param {any} data Strings and buffers are sent as they are, anything else as JSON
+	 */
+	send(data) {
+		if (this.socket.readyState != OPEN) return;
+		this.socket.send(serialize(data));
+	}
+
+	/**
+	 * Send a JSON `{ "event", "data" }` message, which `Websocket.on` handles on the other side
+	 * @param {string} event
+	 * @param {any} [data]
+	 */
+	emit(event, data) {
+		this.send(JSON.stringify({ event, data }));
+	}
+
+	/**
+	 * @param {string} room
+	 */
+	join(room) {
+		this.#websocket.room(room).clients.add(this);
+		this.rooms.add(room);
+	}
+
+	/**
+	 * @param {string} room
+	 */
+	leave(room) {
+		this.rooms.delete(room);
+		this.#websocket._removeFromRoom(room, this);
+	}
+
+	/**
+	 * @param {number} [code] Default `1000`
+	 * @param {string} [reason]
+	 */
+	close(code, reason) {
+		this.socket.close(code, reason);
+	}
+}
+
+class WebsocketRoom {
+	/** @type {string} */
+	name;
+
+	/** @type {Set<WebsocketClient>} */
+	clients = new Set();
+
+	/**
+	 * @param {string} name
+	 */
+	constructor(name) {
+		this.name = name;
+	}
+
+	/**
+	 * Send a message to every client in the room
+	 * @param {any} data Strings and buffers are sent as they are, anything else as JSON
+	 * @param {{ except?:WebsocketExcept }} [options]
+	 */
+	broadcast(data, options) {
+		sendToAll(this.clients, serialize(data), options?.except);
+	}
+
+	/**
+	 * Send a JSON `{ "event", "data" }` message to every client in the room
+	 * @param {string} event
+	 * @param {any} [data]
+	 * @param {{ except?:WebsocketExcept }} [options]
+	 */
+	emit(event, data, options) {
+		sendToAll(this.clients, JSON.stringify({ event, data }), options?.except);
+	}
+}
 
 class Websocket {
 	/** @type {symbol[]} See `Server.flags` */
@@ -22,58 +155,87 @@ class Websocket {
 	#parentServer;
 	endpoint = "/websocket";
 
-	_websocketServer = new WebSocketServer({noServer: true});
+	_websocketServer;
+
+	/** @type {Set<WebsocketClient>} */
+	clients = new Set();
+
+	/** @type {Map<import("ws"), WebsocketClient>} */
+	#clientsBySocket = new Map();
+
+	/** @type {Map<string, WebsocketRoom>} */
+	#rooms = new Map();
+
+	/** @type {Map<string, ((client:WebsocketClient, data:any)=>void)[]>} See `Websocket.on` */
+	#eventHandlers = new Map();
+
+	#nextClientId = 1;
+
+	/** @type {number} */
+	#heartbeatInterval;
+
+	/** @type {?NodeJS.Timeout} */
+	#heartbeat = null;
 
 	/** @type {WebsocketEventListener[]} */
 	#eventListers = [];
 
+	/** @type {?RateLimiter} See `Websocket.limit` */
+	#connectionLimiter = null;
+
+	/** @type {?RateLimiter} See `Websocket.limit` */
+	#messageLimiter = null;
+
 	/**
 	 * @param {Server} server
 	 * @param {string} path
+	 * @param {WebsocketOptions} [options]
 	*/
-	constructor(server, path) {
+	constructor(server, path, options) {
 		this.flags = [];
 		this.endpoint = path;
 		this.#parentServer = server;
+		this.#heartbeatInterval = options?.heartbeat ?? 30000;
+		this._websocketServer = new WebSocketServer({
+			noServer: true,
+			perMessageDeflate: options?.perMessageDeflate ?? false,
+			maxPayload: options?.maxPayload ?? 100 * 1024 * 1024
+		});
 		
-		if (path in WEBSOCKETS) return;
+		if (WEBSOCKETS.has(server) == false) WEBSOCKETS.set(server, {});
+		if (path in WEBSOCKETS.get(server)) return;
 
-		WEBSOCKETS[path] = this;
+		WEBSOCKETS.get(server)[path] = this;
+		server._streams.add(this);
 
-		if (!WS_INSTALLED) {
-			console.error(`🔌 You must install the "${Server.logStyles.underline}ws${Server.logStyles.reset}" package before using Websockets.\n\tPlease run ${Server.logStyles.yellow}npm install${Server.logStyles.reset} or ${Server.logStyles.yellow}npm install ws${Server.logStyles.reset}\n`);
-			return;
-		}
+		console.log(`🔌 Websocket opened at ${Server.logStyles.underline}${server.protocol == "https" ? "wss" : "ws"}://${server.fullDomain}${path}${Server.logStyles.reset}`);
+
+		Websocket.listenForUpgrades(server);
 
-		console.log(`🔌 Websocket opened at ${Server.logStyles.underline}ws://${server.fullDomain}/${path}${Server.logStyles.reset}`);
+		this._websocketServer.on("connection", (socket, request) => {
 
-		if (server._httpServer.listeners("upgrade").length == 0) { // If there is no "upgrade" listener to the server, add one
-			server._httpServer.on("upgrade", (request, socket, head) => {
-				
-				let requestUrl = new URL(request.headers.origin+request.url);
-				let requestedPath = requestUrl.pathname ?? "/";
-				
-				if (requestedPath in WEBSOCKETS == false) return;
+			let client = new WebsocketClient(this.#nextClientId ++, socket, request, this);
+			this.clients.add(client);
+			this.#clientsBySocket.set(socket, client);
+			this.#startHeartbeat();
 
-				let websocket = WEBSOCKETS[requestedPath];
-				
-				websocket._websocketServer.handleUpgrade(request, socket, head, (ws) => {
-					websocket._websocketServer.emit("connection", ws, request);
-				});
-				
-			});
-		}
+			this.triggerEventListener("connection", request, socket, request, client);
 
-		this._websocketServer.on("connection", (socket, request) => {
-			
-			this.triggerEventListener("connection", request, socket, request);
+			socket.on("pong", () => {
+				client.isAlive = true;
+			});
 
 			socket.on("error", (error) => {
-				this.triggerEventListener("error", request, socket, error);
+				this.triggerEventListener("error", request, socket, error, client);
 			});
 
 			socket.on("close", (code, reason) => {
-				this.triggerEventListener("close", request, socket, code, reason);
+				this.clients.delete(client);
+				this.#clientsBySocket.delete(socket);
+				for (let room of client.rooms) this._removeFromRoom(room, client);
+				if (this.clients.size == 0) this.#stopHeartbeat();
+
+				this.triggerEventListener("close", request, socket, code, reason, client);
 				socket.removeAllListeners();
 
 				if (!socket.CLOSED) {
@@ -83,8 +245,20 @@ class Websocket {
 			});
 
 
-			socket.on("message", (data) => {
-				this.triggerEventListener("message", request, socket, data);
+			socket.on("message", (data, isBinary) => {
+				client.isAlive = true;
+
+				if (!this.#messageLimiter) {
+					this.#receive(client, data, isBinary);
+					return;
+				}
+
+				this.#messageLimiter.check(request).then((status) => {
+					if (status?.allowed == false) socket.close(1008, "Too many messages"); // Policy violation
+					else this.#receive(client, data, isBinary);
+				}).catch((error) => {
+					this.triggerEventListener("error", request, socket, error, client);
+				});
 			});
 		});
 
@@ -94,37 +268,312 @@ class Websocket {
 
 	}
 
-	static #callbackSymbol = Symbol("WEBSOCKET_LISTENER_CALLBACK")
+	/**
+	 * Pass a message to the `message` listeners, then to the `Websocket.on` handler for its event
+	 * @param {WebsocketClient} client
+	 * @param {Buffer} data
+	 * @param {boolean} isBinary
+	 */
+	#receive(client, data, isBinary) {
+		this.triggerEventListener("message", client.request, client.socket, data, client);
+		if (isBinary || this.#eventHandlers.size == 0) return;
+
+		let message;
+		try {
+			message = JSON.parse(data.toString());
+		} catch (error) {
+			return; // Not JSON, so only for `message` listeners
+		}
+		if (typeof message?.event != "string") return;
+
+		for (let callback of [...this.#eventHandlers.get(message.event) ?? []]) {
+			try {
+				callback(client, message.data);
+			} catch (error) {
+				console.error(error);
+			}
+		}
+	}
+
+	/**
+	 * Handle JSON messages like `{ "event": "chat", "data": "Hello" }`, as sent by `WebsocketClient.emit`.
+	 * Other messages only go to `listen.message`.
+	 * @param {string} event
+	 * @param {(client:WebsocketClient, data:any)=>void} callback
+	 */
+	on(event, callback) {
+		if (this.#eventHandlers.has(event) == false) this.#eventHandlers.set(event, []);
+		this.#eventHandlers.get(event).push(callback);
+	}
+
+	/**
+	 * @param {string} event
+	 * @param {(client:WebsocketClient, data:any)=>void} callback
+	 */
+	off(event, callback) {
+		let handlers = this.#eventHandlers.get(event);
+		let index = handlers?.indexOf(callback) ?? -1;
+		if (index != -1) handlers.splice(index, 1);
+		if (handlers?.length == 0) this.#eventHandlers.delete(event);
+	}
+
+	/**
+	 * Send a message to every client
+	 * @param {any} data Strings and buffers are sent as they are, anything else as JSON
+	 * @param {{ except?:WebsocketExcept }} [options]
+	 */
+	broadcast(data, options) {
+		sendToAll(this.clients, serialize(data), options?.except);
+	}
+
+	/**
+	 * Send a JSON `{ "event", "data" }` message to every client
+	 * @param {string} event
+	 * @param {any} [data]
+	 * @param {{ except?:WebsocketExcept }} [options]
+	 */
+	emit(event, data, options) {
+		sendToAll(this.clients, JSON.stringify({ event, data }), options?.except);
+	}
+
+	/**
+	 * Close every connection. The main server closes them with `1001` when it closes (See `Server.close`)
+	 * @param {number} [code] Default `1000`
+	 * @param {string} [reason]
+	 */
+	close(code = 1000, reason = "") {
+		for (let client of this.clients) client.close(code, reason);
+	}
+
+	/**
+	 * Get a room, which clients are added to with `WebsocketClient.join`. Empty rooms are removed.
+	 * @param {string} name
+	 * @returns {WebsocketRoom}
+	 */
+	room(name) {
+		if (this.#rooms.has(name) == false) this.#rooms.set(name, new WebsocketRoom(name));
+		return this.#rooms.get(name);
+	}
+
+	/** @returns {string[]} Names of the rooms with clients in them */
+	get rooms() {
+		return [...this.#rooms.values()].filter(room => room.clients.size > 0).map(room => room.name);
+	}
+
+	/**
+	 * @param {string} name
+	 * @param {WebsocketClient} client
+	 */
+	_removeFromRoom(name, client) {
+		let room = this.#rooms.get(name);
+		if (!room) return;
+		room.clients.delete(client);
+		if (room.clients.size == 0) this.#rooms.delete(name);
+	}
+
+	/**
+	 * @param {import("ws")} socket
+	 * @returns {?WebsocketClient}
+	 */
+	getClient(socket) {
+		return this.#clientsBySocket.get(socket) ?? null;
+	}
+
+	/** Ping every client, and close the ones that didn't answer the last ping */
+	#startHeartbeat() {
+		if (this.#heartbeat || this.#heartbeatInterval <= 0) return;
+		this.#heartbeat = setInterval(() => {
+			for (let client of this.clients) {
+				if (client.isAlive == false) {
+					client.socket.terminate();
+					continue;
+				}
+				client.isAlive = false;
+				client.socket.ping();
+			}
+		}, this.#heartbeatInterval);
+		this.#heartbeat.unref();
+	}
+
+	#stopHeartbeat() {
+		clearInterval(this.#heartbeat);
+		this.#heartbeat = null;
+	}
+
+	/**
+	 * Add the "upgrade" listener shared by the websockets and proxies of a server, if there isn't one yet
+	 * @param {Server} server
+	 */
+	static listenForUpgrades(server) {
+		while (server.parentServer) server = server.parentServer;
+		if (server._httpServer.listeners("upgrade").length > 0) return;
+
+		server._httpServer.on("upgrade", (request, socket, head) => {
+
+			let target = server._resolveHost(request);
+			let requestedPath;
+			try {
+				requestedPath = new URL("http://example.com"+request.url).pathname ?? "/";
+			} catch (error) {
+				target = false;
+			}
+			if (target === false) {
+				socket.end("HTTP/1.1 400 Bad Request\r\nConnection: close\r\n\r\n");
+				return;
+			}
+
+			let websocket = target ? Websocket.#find(target, requestedPath) : null;
+			if (!websocket) {
+				if (target?._proxyUpgrade(request, socket, head)) return;
+				socket.end("HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n");
+				return;
+			}
+
+			websocket.#upgrade(request, socket, head).catch((error) => {
+				console.error(error);
+				socket.end("HTTP/1.1 500 Internal Server Error\r\nConnection: close\r\n\r\n");
+			});
+
+		});
+	}
+
+	/**
+	 * Limit how often clients can connect, and send messages.
+	 * Clients connecting too often get `429 Too Many Requests`, and clients sending too many messages are closed with code `1008`.
+	 * 
+	 * Both are counted by IP address, unless the limiter has a different `key`.
+	 * @param {{ connections?:RateLimiter|import("./ratelimit.js").RateLimitOptions, messages?:RateLimiter|import("./ratelimit.js").RateLimitOptions }} options
+	 */
+	limit(options) {
+		try {
+			this.#connectionLimiter = options.connections ? RateLimiter.from(options.connections) : null;
+			this.#messageLimiter = options.messages ? RateLimiter.from(options.messages) : null;
+		} catch (error) {
+			console.error("⚠️  "+error.message);
+		}
+	}
+
+	/**
+	 * Check access and the connection limit, load the session, and finish the handshake
+	 * @param {import('..').ServerRequest} request
+	 * @param {import('stream').Duplex} socket
+	 * @param {Buffer} head
+	 */
+	async #upgrade(request, socket, head) {
+		let refusal = await this.#accept(request);
+		if (refusal) {
+			let headers = Object.entries(refusal.headers).map(([name, value]) => `${name}: ${value}\r\n`).join("");
+			socket.end(`HTTP/1.1 ${refusal.status} ${http.STATUS_CODES[refusal.status]}\r\n${headers}Connection: close\r\n\r\n`);
+			return;
+		}
+
+		this._websocketServer.handleUpgrade(request, socket, head, (ws) => {
+			this._websocketServer.emit("connection", ws, request);
+		});
+	}
+
+	/**
+	 * Everything a connection goes through before the handshake
+	 * @param {import('..').ServerRequest} request
+	 * @returns {Promise<?{ status:403|429, headers:Object<string, string|number> }>} Why the connection was refused, `null` if it wasn't
+	 */
+	async #accept(request) {
+		if (this.#isAllowed(request) == false) return { status: 403, headers: {} };
+
+		let status = await this.#connectionLimiter?.check(request);
+		if (status?.allowed == false) return { status: 429, headers: { "Retry-After": status.retryAfter } };
+
+		await this.#findSessions()?.attach(request);
+		return null;
+	}
+
+	/**
+	 * Connect to the websocket on a path without a network connection, for testing (See `Server.injectWebsocket`)
+	 * @param {Server} server
+	 * @param {import("./inject.js").InjectOptions} options
+	 * @returns {Promise<import("./inject.js").InjectedWebsocket>} Rejects with an error that has a `status` if the connection is refused
+	 */
+	static async inject(server, options) {
+		let request = inject.upgradeRequest(options, server.protocol == "https");
+
+		let root = server;
+		while (root.parentServer) root = root.parentServer;
+
+		let target = root._resolveHost(request);
+		if (target === false) throw httpError(400, `Invalid host "${Server.getHost(request)}"`);
+
+		let websocket = target ? Websocket.#find(target, new URL("http://example.com"+request.url).pathname) : null;
+		if (!websocket) throw httpError(404, `There is no websocket at ${Server.getHost(request)}${request.url}`);
+
+		let refusal = await websocket.#accept(request);
+		if (refusal) throw Object.assign(httpError(refusal.status, `The connection to ${request.url} was refused (${refusal.status})`), { headers: refusal.headers });
+
+		let { socket, client } = inject.socketPair();
+		websocket._websocketServer.emit("connection", socket, request);
+		return client;
+	}
+
+	/**
+	 * @param {Server} server The server (or subdomain) a request is for
+	 * @param {string} pathname
+	 * @returns {?Websocket}
+	 */
+	static #find(server, pathname) {
+		return WEBSOCKETS.get(server)?.[pathname] ?? null;
+	}
+
+	/**
+	 * Check `Server.access` of the server this websocket is on, and the servers above it
+	 * @param {import('..').ServerRequest} request
+	 * @returns {boolean}
+	 */
+	#isAllowed(request) {
+		let ipAddress = Server.getIP(request);
+		for (let server = this.#parentServer; server; server = server.parentServer) {
+			if (server.access.allows(ipAddress) == false) return false;
+		}
+		return true;
+	}
+
+	/**
+	 * Find the sessions that HTTP requests to this websocket's server would get,
+	 * from the highest server above it that uses them (See `ServerInitOptions.sessions`)
+	 * @returns {?import('./sessions.js').Sessions}
+	 */
+	#findSessions() {
+		let sessions = null;
+		for (let server = this.#parentServer; server; server = server.parentServer) {
+			sessions = server.sessions ?? sessions;
+		}
+		return sessions;
+	}
+
 	listen = {
 		/**
-		 * @param {(socket:ws, request:import('..').ServerRequest, data)=>void} callback
+		 * @param {(socket:import("ws"), request:import('..').ServerRequest, client:WebsocketClient)=>void} callback
 		 */
 		connection: (callback) => {
-			callback[Websocket.#callbackSymbol] = { id: this.#eventListers.length };
 			this.#eventListers.push({ eventName: "connection", callback });
 		},
 
 		/**
-		 * @param {(socket:ws, error:Error)=>void} callback
+		 * @param {(socket:import("ws"), error:Error, client:WebsocketClient)=>void} callback
 		 */
 		error: (callback) => {
-			callback[Websocket.#callbackSymbol] = { id: this.#eventListers.length };
 			this.#eventListers.push({ eventName: "error", callback });
 		},
 
 		/**
-		 * @param {(socket:ws, data:ws.RawData)=>void} callback
+		 * @param {(socket:import("ws"), data:Buffer, client:WebsocketClient)=>void} callback
 		 */
 		message: (callback) => {
-			callback[Websocket.#callbackSymbol] = { id: this.#eventListers.length };
 			this.#eventListers.push({ eventName: "message", callback });
 		},
 
 		/**
-		 * @param {(socket:ws, code:number, reason:Buffer<ArrayBufferLike>)=>void} callback
+		 * @param {(socket:import("ws"), code:number, reason:Buffer, client:WebsocketClient)=>void} callback
 		 */
 		close: (callback) => {
-			callback[Websocket.#callbackSymbol] = { id: this.#eventListers.length };
 			this.#eventListers.push({ eventName: "close", callback });
 		},
 
@@ -132,18 +581,9 @@ class Websocket {
 		 * @param {"connection"|"message"|"error"|"close"} eventType
 		 * @param {(...data)=>void} callback
 		 */
-		removeListener:(eventType, callback) => {
-			let targetId = callback[Websocket.#callbackSymbol].id;
-			
-			for (let i = 0; i < this.#eventListers.length; i ++) {
-				if (this.#eventListers[i].eventName != eventType) continue;
-
-				let eventId = this.#eventListers[i].callback[Websocket.#callbackSymbol].id;
-				if (eventId != targetId) continue;
-
-				this.#eventListers.splice(i, 1);
-				break;
-			}
+		removeListener: (eventType, callback) => {
+			let index = this.#eventListers.findIndex(listener => listener.eventName == eventType && listener.callback == callback);
+			if (index != -1) this.#eventListers.splice(index, 1);
 		}
 	}
 
@@ -156,22 +596,57 @@ class Websocket {
 
 		if (this.#parentServer.info.shouldLogFromRequest(request)){
 			let message = this.#parentServer.info.logMessage(
-				Server.logMessageTemplates.websocket[eventName],
+				this.#parentServer.info.getTemplate("websocket", eventName),
 				{
 					ip: Server.getIP(request),
-					isError: false
+					url: this.endpoint,
+					event: eventName,
+					isError: eventName == "error"
 				});
 			console.log(message);
 		}
 
-		for (let i = 0; i < this.#eventListers.length; i ++) {
-			if (this.#eventListers[i].eventName != eventName) continue;
-			this.#eventListers[i].callback(...data);
+		for (let listener of [...this.#eventListers]) {
+			if (listener.eventName != eventName) continue;
+			listener.callback(...data);
 		}
 	}
 
 }
 
+/**
+ * @param {any} data
+ * @returns {string|Buffer|ArrayBuffer|ArrayBufferView}
+ */
+function serialize(data) {
+	if (typeof data == "string" || Buffer.isBuffer(data) || data instanceof ArrayBuffer || ArrayBuffer.isView(data)) return data;
+	return JSON.stringify(data);
+}
+
+/**
+ * @param {Iterable<WebsocketClient>} clients
+ * @param {string|Buffer|ArrayBuffer|ArrayBufferView} message Already serialized
+ * @param {WebsocketExcept} [except]
+ */
+function sendToAll(clients, message, except) {
+	let skipped = [except ?? []].flat();
+	for (let client of clients) {
+		if (skipped.includes(client) || skipped.includes(client.socket)) continue;
+		if (client.socket.readyState == OPEN) client.socket.send(message);
+	}
+}
+
+/**
+ * @param {number} status
+ * @param {string} message
+ * @returns {Error & { status:number }}
+ */
+function httpError(status, message) {
+	let error = new Error(message);
+	error.status = status;
+	return error;
+}
+
 /**
  * Check if an NPM module is installed
  * @param {string} id
@@ -186,4 +661,6 @@ function checkRequire(id) {
 	return true;
 }
 
-module.exports = Websocket;
\ No newline at end of file
+module.exports = Websocket;
+module.exports.WebsocketClient = WebsocketClient;
+module.exports.WebsocketRoom = WebsocketRoom;
\ No newline at end of file
@@ -0,0 +1,112 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const Server = require("../index.js");
+const { createServer, createDirectory } = require("./helpers.js");
+
+/**
+ * An endpoint that responds with the parsed body as JSON, or the error's status
+ * @param {import("../lib/body.js").BodyOptions} [options]
+ */
+function createBodyServer(options) {
+	let server = createServer();
+	server.endpoint("/", async (request, result) => {
+		try {
+			let body = await Server.getBody(request, options);
+			result.end(JSON.stringify(body));
+		} catch (error) {
+			result.writeHead(error.status ?? 500);
+			result.end(error.message);
+		}
+	}, "POST");
+	return server;
+}
+
+/**
+ * @param {{ name:string, filename?:string, value:string }[]} parts
+ * @returns {{ headers:Object<string, string>, body:string }}
+ */
+function multipart(parts) {
+	let body = parts.map((part) => {
+		let filename = part.filename ? `; filename="${part.filename}"` : "";
+		return `--boundary\r\nContent-Disposition: form-data; name="${part.name}"${filename}\r\n\r\n${part.value}\r\n`;
+	}).join("") + "--boundary--\r\n";
+	return { headers: { "content-type": "multipart/form-data; boundary=boundary" }, body };
+}
+
+test("JSON, urlencoded and text bodies are parsed", async () => {
+	let server = createBodyServer();
+
+	let json = await server.inject({ method: "POST", body: { name: "Ada", tags: ["a"] } });
+	assert.deepStrictEqual(json.json(), { name: "Ada", tags: ["a"] });
+
+	let form = await server.inject({ method: "POST", headers: { "content-type": "application/x-www-form-urlencoded" }, body: "a=1&a=2&b=x%20y" });
+	assert.deepStrictEqual(form.json(), { a: ["1", "2"], b: "x y" });
+
+	let malformed = await server.inject({ method: "POST", headers: { "content-type": "application/json" }, body: "{nope" });
+	assert.strictEqual(malformed.status, 400);
+});
+
+test("bodies larger than limit get 413", async () => {
+	let server = createBodyServer({ limit: 10 });
+
+	assert.strictEqual((await server.inject({ method: "POST", body: "x".repeat(11) })).status, 413);
+	assert.strictEqual((await server.inject({ method: "POST", body: "x".repeat(10) })).status, 200);
+});
+
+test("multipart files are written to uploadDirectory, within uploadLimit", async () => {
+	let uploadDirectory = createDirectory({});
+	let server = createBodyServer({ uploadDirectory, uploadLimit: 1000, limit: 20 });
+
+	let upload = await server.inject({ method: "POST", ...multipart([
+		{ name: "title", value: "Hello" },
+		{ name: "file", filename: "notes.txt", value: "file contents" }
+	]) });
+	let body = upload.json();
+	assert.strictEqual(body.title, "Hello");
+	assert.strictEqual(body.file.filename, "notes.txt");
+	assert.strictEqual(fs.readFileSync(body.file.path, "utf8"), "file contents");
+
+	let tooLarge = await server.inject({ method: "POST", ...multipart([{ name: "file", filename: "big.bin", value: "x".repeat(2000) }]) });
+	assert.strictEqual(tooLarge.status, 413);
+
+	let longField = await server.inject({ method: "POST", ...multipart([{ name: "title", value: "x".repeat(21) }]) });
+	assert.strictEqual(longField.status, 413);
+});
+
+test("uploads to a missing directory fail without crashing", async () => {
+	let server = createBodyServer({ uploadDirectory: "/nonexistent/uploads" });
+
+	let response = await server.inject({ method: "POST", ...multipart([{ name: "file", filename: "a.txt", value: "x".repeat(100000) }]) });
+	assert.strictEqual(response.status, 500);
+});
+
+test("fields named __proto__ don't change the result's prototype", async () => {
+	let server = createServer();
+	server.endpoint("/", async (request, result) => {
+		let body = await Server.getBody(request);
+		result.end(JSON.stringify({ prototype: Object.getPrototypeOf(body), polluted: body.isAdmin ?? null, proto: body["__proto__"] }));
+	}, "POST");
+
+	let form = await server.inject({ method: "POST", headers: { "content-type": "application/x-www-form-urlencoded" }, body: "__proto__[isAdmin]=1&__proto__=x" });
+	assert.deepStrictEqual(form.json(), { prototype: null, polluted: null, proto: "x" });
+
+	let parts = multipart([{ name: "__proto__", value: "y" }]);
+	let upload = await server.inject({ method: "POST", ...parts });
+	assert.deepStrictEqual(upload.json(), { prototype: null, polluted: null, proto: "y" });
+});
+
+test("body errors that aren't caught explain themselves to the client", async () => {
+	let server = createServer();
+	server.endpoint("/", async (request, result) => {
+		result.end(JSON.stringify(await Server.getBody(request, { limit: 10 })));
+	}, "POST");
+
+	let malformed = await server.inject({ method: "POST", headers: { "content-type": "application/json" }, body: "{nope" });
+	assert.strictEqual(malformed.status, 400);
+	assert.match(malformed.body, /could not be understood/);
+
+	let tooLarge = await server.inject({ method: "POST", body: "x".repeat(11) });
+	assert.strictEqual(tooLarge.status, 413);
+	assert.match(tooLarge.body, /is too large/);
+});
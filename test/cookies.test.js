@@ -0,0 +1,33 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const Server = require("../index.js");
+const { createServer } = require("./helpers.js");
+
+test("cookies are only given a Path when one is set", async () => {
+	let server = createServer();
+	server.endpoint("/account/login", (request, result) => {
+		Server.cookie.set("here", "1", result);
+		Server.cookie.set("everywhere", "1", result, { path: "/" });
+		result.end();
+	});
+
+	let response = await server.inject({ url: "/account/login" });
+	assert.deepStrictEqual(response.headers["set-cookie"], ["here=1", "everywhere=1; Path=/"]);
+});
+
+test("values read back the same way they were encoded", async () => {
+	let server = createServer();
+	let base64 = { encode: (value) => Buffer.from(value).toString("base64url"), decode: (value) => Buffer.from(value, "base64url").toString() };
+	server.endpoint("/set", (request, result) => {
+		Server.cookie.set("note", "a; b=c ✓", result);
+		Server.cookie.set("custom", "a; b=c ✓", result, { encode: base64.encode });
+		result.end();
+	});
+	server.endpoint("/get", (request, result) => {
+		result.end(JSON.stringify([Server.cookie.get(request, "note"), Server.cookie.get(request, "custom", { decode: base64.decode })]));
+	});
+
+	let set = await server.inject({ url: "/set" });
+	let cookie = set.headers["set-cookie"].map(header => header.split(";")[0]).join("; ");
+	assert.deepStrictEqual((await server.inject({ url: "/get", headers: { cookie } })).json(), ["a; b=c ✓", "a; b=c ✓"]);
+});
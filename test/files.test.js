@@ -0,0 +1,108 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const fs = require("fs");
+const path = require("path");
+const Server = require("../index.js");
+const { createServer, createDirectory } = require("./helpers.js");
+
+const directory = createDirectory({
+	"index.html": "<h1>Home</h1>",
+	"notes.txt": "0123456789",
+	".env": "SECRET=1",
+	".well-known/security.txt": "Contact: security@example.test",
+	"nested/page.html": "<p>Nested</p>"
+});
+const outside = createDirectory({ "secret.txt": "outside" });
+fs.symlinkSync(path.join(outside, "secret.txt"), path.join(directory, "link.txt"));
+
+/**
+ * @param {Partial<import("../index.js").CustomData>} [customData]
+ */
+function createFileServer(customData) {
+	return createServer({
+		flags: Server.flags.FILESYSTEM,
+		customData: { rootDirectory: path.relative(process.cwd(), directory), ...customData }
+	});
+}
+
+test("files and index files are served", async () => {
+	let server = createFileServer();
+
+	let index = await server.inject({ url: "/" });
+	assert.strictEqual(index.status, 200);
+	assert.strictEqual(index.body, "<h1>Home</h1>");
+	assert.match(index.headers["content-type"], /^text\/html/);
+
+	assert.strictEqual((await server.inject({ url: "/nested/page" })).body, "<p>Nested</p>");
+	assert.strictEqual((await server.inject({ url: "/missing.txt" })).status, 404);
+});
+
+test("paths can't leave the root directory", async () => {
+	let server = createFileServer();
+
+	for (let url of ["/../"+path.basename(outside)+"/secret.txt", "/%2e%2e/%2e%2e/etc/hostname", "/..%2f..%2fetc/hostname"]) {
+		let response = await server.inject({ url });
+		assert.notStrictEqual(response.status, 200, url);
+		assert.doesNotMatch(response.body, /outside/, url);
+	}
+
+	assert.strictEqual((await server.inject({ url: "/link.txt" })).status, 403);
+	assert.strictEqual((await server.inject({ url: "/notes.txt%00.html" })).status, 400);
+});
+
+test("roots starting with / are relative to the working directory", async () => {
+	let root = createServer({ flags: Server.flags.FILESYSTEM, customData: { rootDirectory: "/" } });
+	let response = await root.inject({ url: "/etc/hostname" });
+	assert.strictEqual(response.status, 404);
+	assert.strictEqual((await root.inject({ url: "/package.json" })).json().name, require("../package.json").name);
+
+	let nested = createFileServer({ rootDirectory: "/"+path.relative(process.cwd(), directory) });
+	assert.strictEqual((await nested.inject({ url: "/" })).body, "<h1>Home</h1>");
+});
+
+test("dotfiles are denied by default, except /.well-known/", async () => {
+	let denied = await createFileServer().inject({ url: "/.env" });
+	assert.strictEqual(denied.status, 403);
+	assert.match(denied.body, /is forbidden/);
+	assert.strictEqual((await createFileServer({ dotfiles: "ignore" }).inject({ url: "/.env" })).status, 404);
+	assert.strictEqual((await createFileServer({ dotfiles: "allow" }).inject({ url: "/.env" })).body, "SECRET=1");
+
+	let wellKnown = await createFileServer().inject({ url: "/.well-known/security.txt" });
+	assert.strictEqual(wellKnown.status, 200);
+});
+
+test("ranges get 206, or 416 when they can't be satisfied", async () => {
+	let server = createFileServer();
+
+	let partial = await server.inject({ url: "/notes.txt", headers: { range: "bytes=2-5" } });
+	assert.strictEqual(partial.status, 206);
+	assert.strictEqual(partial.body, "2345");
+	assert.strictEqual(partial.headers["content-range"], "bytes 2-5/10");
+
+	let suffix = await server.inject({ url: "/notes.txt", headers: { range: "bytes=-3" } });
+	assert.strictEqual(suffix.body, "789");
+
+	let unsatisfiable = await server.inject({ url: "/notes.txt", headers: { range: "bytes=50-60" } });
+	assert.strictEqual(unsatisfiable.status, 416);
+	assert.strictEqual(unsatisfiable.headers["content-range"], "bytes */10");
+	assert.match(unsatisfiable.body, /range of "\/notes.txt" is not available/);
+});
+
+test("ETags answer conditional requests with 304", async () => {
+	let server = createFileServer();
+
+	let first = await server.inject({ url: "/notes.txt" });
+	assert.ok(first.headers["etag"]);
+	assert.ok(first.headers["last-modified"]);
+
+	let cached = await server.inject({ url: "/notes.txt", headers: { "if-none-match": first.headers["etag"] } });
+	assert.strictEqual(cached.status, 304);
+	assert.strictEqual(cached.body, "");
+
+	let changed = await server.inject({ url: "/notes.txt", headers: { "if-none-match": 'W/"other"' } });
+	assert.strictEqual(changed.status, 200);
+
+	let staleRange = await server.inject({ url: "/notes.txt", headers: { range: "bytes=0-1", "if-range": 'W/"other"' } });
+	assert.strictEqual(staleRange.status, 200);
+	assert.strictEqual(staleRange.body, "0123456789");
+});
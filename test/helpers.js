@@ -0,0 +1,36 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const Server = require("../index.js");
+
+// Status lines ("🌐 Opened server", "🔌 Websocket opened") aren't tested, and Node 20's test runner can fail to read them back from test files
+console.log = () => {};
+
+module.exports = {
+
+	/**
+	 * A server that doesn't log requests, for `inject`
+	 * @param {Partial<import("../index.js").ServerInitOptions>} [options]
+	 * @returns {Server}
+	 */
+	createServer(options = {}) {
+		let flags = [Server.flags.HIDESTATUSLOGS].concat(options.flags ?? []);
+		return new Server({ port: 0, ...options, flags });
+	},
+
+	/**
+	 * Create a directory of files that is removed when the process exits
+	 * @param {Object<string, string>} files Contents by relative path
+	 * @returns {string}
+	 */
+	createDirectory(files) {
+		let directory = fs.mkdtempSync(path.join(os.tmpdir(), "http-simple-server-"));
+		for (let [name, contents] of Object.entries(files)) {
+			fs.mkdirSync(path.dirname(path.join(directory, name)), { recursive: true });
+			fs.writeFileSync(path.join(directory, name), contents);
+		}
+		process.once("exit", () => fs.rmSync(directory, { recursive: true, force: true }));
+		return directory;
+	}
+
+}
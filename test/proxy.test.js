@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const http = require("http");
+const Server = require("../index.js");
+const { createServer } = require("./helpers.js");
+
+/** @type {http.Server} Responds with what it received, as JSON */
+let service;
+let serviceUrl;
+
+test.before(async () => {
+	service = http.createServer((request, result) => {
+		if (request.url.startsWith("/slow")) return; // Never responds
+		let body = "";
+		request.on("data", chunk => body += chunk);
+		request.on("end", () => {
+			result.writeHead(201, { "Content-Type": "application/json", "X-Service": "yes" });
+			result.end(JSON.stringify({ method: request.method, url: request.url, headers: request.headers, body }));
+		});
+	});
+	await new Promise(resolve => service.listen(0, "127.0.0.1", resolve));
+	serviceUrl = "http://127.0.0.1:"+service.address().port;
+});
+
+test.after(() => {
+	service.closeAllConnections();
+	service.close();
+});
+
+test("proxy() forwards a path prefix to the service, and streams the response back", async () => {
+	let server = createServer();
+	server.proxy("/api", serviceUrl+"/v1");
+
+	let response = await server.inject({ method: "POST", url: "/api/users?page=2", body: "hello" });
+	assert.strictEqual(response.status, 201);
+	assert.strictEqual(response.headers["x-service"], "yes");
+
+	let received = response.json();
+	assert.strictEqual(received.method, "POST");
+	assert.strictEqual(received.url, "/v1/users?page=2");
+	assert.strictEqual(received.body, "hello");
+	assert.strictEqual(received.headers["x-forwarded-host"], "localhost:0");
+	assert.strictEqual(received.headers["x-forwarded-proto"], "http");
+	assert.strictEqual(received.headers["x-forwarded-for"], "127.0.0.1");
+});
+
+test("proxied subdomains forward every request", async () => {
+	let server = createServer();
+	server.endpoint("/", (request, result) => result.end("root"));
+	server.subdomain({ domain: "api", proxy: serviceUrl });
+
+	assert.strictEqual((await server.inject({ url: "/" })).body, "root");
+	assert.strictEqual((await server.inject({ url: "/items", headers: { host: "api.localhost" } })).json().url, "/items");
+});
+
+test("unreachable services get 502, and slow ones 504", async () => {
+	let server = createServer();
+	server.proxy("/down", "http://127.0.0.1:1");
+	server.proxy("/slow", { target: serviceUrl+"/slow", timeout: 50 });
+
+	assert.strictEqual((await server.inject({ url: "/down/x" })).status, 502);
+	assert.strictEqual((await server.inject({ url: "/slow" })).status, 504);
+});
+
+test("X-Forwarded-For from clients is only passed on from trusted proxies", async (t) => {
+	let server = createServer();
+	server.proxy("/api", serviceUrl);
+	let headers = { "x-forwarded-for": "6.6.6.6" };
+
+	let spoofed = await server.inject({ url: "/api", headers, remoteAddress: "203.0.113.7" });
+	assert.strictEqual(spoofed.json().headers["x-forwarded-for"], "203.0.113.7");
+
+	t.after(() => Server.trustedProxies = []);
+	Server.trustedProxies = ["203.0.113.0/24"];
+	let trusted = await server.inject({ url: "/api", headers, remoteAddress: "203.0.113.7" });
+	assert.strictEqual(trusted.json().headers["x-forwarded-for"], "6.6.6.6, 203.0.113.7");
+});
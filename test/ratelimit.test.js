@@ -0,0 +1,53 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createServer } = require("./helpers.js");
+
+test("clients over the limit get 429 with Retry-After", async () => {
+	let server = createServer({ rateLimit: { limit: 2, window: 60 } });
+	server.endpoint("/", (request, result) => result.end("ok"));
+
+	let first = await server.inject({});
+	assert.strictEqual(first.status, 200);
+	assert.strictEqual(Number(first.headers["ratelimit-limit"]), 2);
+	assert.strictEqual((await server.inject({})).status, 200);
+
+	let limited = await server.inject({});
+	assert.strictEqual(limited.status, 429);
+	assert.ok(Number(limited.headers["retry-after"]) > 0);
+});
+
+test("clients are counted separately, by IP address", async () => {
+	let server = createServer({ rateLimit: { limit: 1, window: 60 } });
+	server.endpoint("/", (request, result) => result.end("ok"));
+
+	assert.strictEqual((await server.inject({ remoteAddress: "10.0.0.1" })).status, 200);
+	assert.strictEqual((await server.inject({ remoteAddress: "10.0.0.1" })).status, 429);
+	assert.strictEqual((await server.inject({ remoteAddress: "10.0.0.2" })).status, 200);
+});
+
+test("endpoints can have their own limits", async () => {
+	let server = createServer();
+	server.endpoint("/login", (request, result) => result.end("ok"), "POST", { rateLimit: { limit: 1, window: 60 } });
+	server.endpoint("/", (request, result) => result.end("ok"));
+
+	assert.strictEqual((await server.inject({ method: "POST", url: "/login" })).status, 200);
+	assert.strictEqual((await server.inject({ method: "POST", url: "/login" })).status, 429);
+	assert.strictEqual((await server.inject({})).status, 200);
+});
+
+test("429 responses have CORS headers, so other origins can read them", async () => {
+	let server = createServer({ rateLimit: { limit: 1, window: 60 }, cors: { origin: "https://app.example.test" } });
+	server.endpoint("/", (request, result) => result.end("ok"));
+	server.endpoint("/private", (request, result) => result.end("ok"), "GET", { cors: false });
+	let headers = { origin: "https://app.example.test" };
+
+	assert.strictEqual((await server.inject({ headers })).headers["access-control-allow-origin"], "https://app.example.test");
+
+	let limited = await server.inject({ headers });
+	assert.strictEqual(limited.status, 429);
+	assert.strictEqual(limited.headers["access-control-allow-origin"], "https://app.example.test");
+
+	let closed = await server.inject({ url: "/private", headers });
+	assert.strictEqual(closed.status, 429);
+	assert.strictEqual(closed.headers["access-control-allow-origin"], undefined);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createServer } = require("./helpers.js");
+
+test("endpoints match the most specific path, with params", async () => {
+	let server = createServer();
+	server.endpoint("/users/me", (request, result) => result.end("me"));
+	server.endpoint("/users/:id", (request, result) => result.end("user "+request.params.id));
+	server.endpoint("/assets/*rest", (request, result) => result.end(request.params.rest));
+
+	assert.strictEqual((await server.inject({ url: "/users/me" })).body, "me");
+	assert.strictEqual((await server.inject({ url: "/users/42" })).body, "user 42");
+	assert.strictEqual((await server.inject({ url: "/assets/images/logo.png" })).body, "images/logo.png");
+	assert.strictEqual((await server.inject({ url: "/nowhere" })).status, 404);
+});
+
+test("other methods get 405 with an Allow header, and HEAD uses GET endpoints", async () => {
+	let server = createServer();
+	server.endpoint("/items", (request, result) => result.end("list"), "GET");
+	server.endpoint("/items", (request, result) => result.end("created"), "POST");
+
+	let response = await server.inject({ method: "DELETE", url: "/items" });
+	assert.strictEqual(response.status, 405);
+	assert.strictEqual(response.headers["allow"], "GET, POST, HEAD, OPTIONS");
+
+	assert.strictEqual((await server.inject({ method: "POST", url: "/items" })).body, "created");
+
+	let head = await server.inject({ method: "HEAD", url: "/items" });
+	assert.strictEqual(head.status, 200);
+	assert.strictEqual(head.body, "");
+});
+
+test("middleware runs in order, and errors go to status handlers", async () => {
+	let server = createServer();
+	server.use((request, result, next) => {
+		result.setHeader("X-First", "1");
+		next();
+	});
+	server.use("/private", (request, result, next) => next(Object.assign(new Error("Nope"), { status: 403 })));
+	server.endpoint("/private/data", (request, result) => result.end("secret"));
+	server.status(403, (request, result) => {
+		result.writeHead(403);
+		result.end("denied: "+request.error.message);
+	});
+
+	let response = await server.inject({ url: "/private/data" });
+	assert.strictEqual(response.status, 403);
+	assert.strictEqual(response.headers["x-first"], "1");
+	assert.strictEqual(response.body, "denied: Nope");
+});
+
+test("subdomains are routed by Host", async () => {
+	let server = createServer();
+	server.endpoint("/", (request, result) => result.end("root"));
+	server.subdomain("api").endpoint("/", (request, result) => result.end("api"));
+	server.subdomain("*.app").endpoint("/", (request, result) => result.end("app "+request.wildcards[0]));
+
+	assert.strictEqual((await server.inject({ headers: { host: "localhost" } })).body, "root");
+	assert.strictEqual((await server.inject({ headers: { host: "api.localhost" } })).body, "api");
+	assert.strictEqual((await server.inject({ headers: { host: "acme.app.localhost" } })).body, "app acme");
+	assert.strictEqual((await server.inject({ headers: { host: "nope.localhost" } })).status, 404);
+	assert.strictEqual((await server.inject({ headers: { host: "bad host!" } })).status, 400);
+});
+
+test("denied IP addresses get 403, on the server and its subdomains", async () => {
+	let server = createServer({ access: { deny: ["10.0.0.0/8"] } });
+	server.endpoint("/", (request, result) => result.end("welcome"));
+	server.subdomain({ domain: "api", access: { allow: ["192.168.1.10"] } }).endpoint("/", (request, result) => result.end("api"));
+
+	let denied = await server.inject({ remoteAddress: "10.1.2.3" });
+	assert.strictEqual(denied.status, 403);
+	assert.match(denied.body, /is forbidden/);
+	assert.strictEqual((await server.inject({ remoteAddress: "192.168.1.10" })).body, "welcome");
+
+	assert.strictEqual((await server.inject({ headers: { host: "api.localhost" }, remoteAddress: "192.168.1.10" })).body, "api");
+	assert.strictEqual((await server.inject({ headers: { host: "api.localhost" }, remoteAddress: "192.168.1.11" })).status, 403);
+});
@@ -0,0 +1,74 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createServer } = require("./helpers.js");
+
+/**
+ * @param {import("../lib/inject.js").InjectResult} response
+ * @returns {?string} `name=value` of the session cookie
+ */
+function sessionCookie(response) {
+	let header = [response.headers["set-cookie"] ?? []].flat().find(cookie => cookie.startsWith("session="));
+	return header ? header.split(";")[0] : null;
+}
+
+function createSessionServer() {
+	let server = createServer({ sessions: { secret: "test secret" } });
+	server.endpoint("/count", (request, result) => {
+		request.session.data.count = (request.session.data.count ?? 0) + 1;
+		result.end(String(request.session.data.count));
+	});
+	server.endpoint("/peek", (request, result) => result.end(String(request.session.data.count ?? 0)));
+	server.endpoint("/logout", async (request, result) => {
+		await request.session.destroy();
+		result.end();
+	});
+	return server;
+}
+
+test("sessions are kept between requests with a signed cookie", async () => {
+	let server = createSessionServer();
+
+	let first = await server.inject({ url: "/count" });
+	let cookie = sessionCookie(first);
+	assert.ok(cookie);
+	assert.match(first.headers["set-cookie"].toString(), /; Path=\/;.*HttpOnly/);
+
+	let second = await server.inject({ url: "/count", headers: { cookie } });
+	assert.strictEqual(second.body, "2");
+	assert.strictEqual((await server.inject({ url: "/peek", headers: { cookie } })).body, "2");
+});
+
+test("sessions aren't created until they change, and tampered cookies are ignored", async () => {
+	let server = createSessionServer();
+
+	assert.strictEqual(sessionCookie(await server.inject({ url: "/peek" })), null);
+
+	let cookie = sessionCookie(await server.inject({ url: "/count" }));
+	let tampered = cookie.replace(/.$/, character => character == "a" ? "b" : "a");
+	assert.strictEqual((await server.inject({ url: "/peek", headers: { cookie: tampered } })).body, "0");
+});
+
+test("destroyed sessions clear the cookie and their data", async () => {
+	let server = createSessionServer();
+
+	let cookie = sessionCookie(await server.inject({ url: "/count" }));
+	let logout = await server.inject({ url: "/logout", headers: { cookie } });
+	assert.match(logout.headers["set-cookie"].toString(), /^session=;/);
+	assert.strictEqual((await server.inject({ url: "/peek", headers: { cookie } })).body, "0");
+});
+
+test("sessions are shared with subdomains", async () => {
+	let server = createSessionServer();
+	server.subdomain("api").endpoint("/peek", (request, result) => result.end(String(request.session.data.count ?? 0)));
+
+	let cookie = sessionCookie(await server.inject({ url: "/count" }));
+	assert.strictEqual((await server.inject({ url: "/peek", headers: { cookie, host: "api.localhost" } })).body, "1");
+});
+
+test("without a secret, sessions are turned off with an error instead of throwing", (t) => {
+	let error = t.mock.method(console, "error", () => {});
+
+	let server = createServer({ sessions: true });
+	assert.strictEqual(server.sessions, null);
+	assert.match(error.mock.calls[0].arguments[0], /^⚠️ {2}Sessions need a secret/);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert");
+const { createServer } = require("./helpers.js");
+
+test("event streams send broadcasts until they close", async () => {
+	let server = createServer();
+	let events = server.events("/events");
+
+	let pending = server.inject({ url: "/events" });
+	await new Promise(resolve => setImmediate(resolve));
+	assert.strictEqual(events.clients.size, 1);
+
+	events.broadcast({ text: "hi" }, { event: "chat" });
+	events.close();
+
+	let response = await pending;
+	assert.strictEqual(response.status, 200);
+	assert.match(response.headers["content-type"], /^text\/event-stream/);
+	assert.match(response.body, /event: chat\nid: 1\ndata: {"text":"hi"}\n\n/);
+});
+
+test("event streams work with compression, without being compressed", async () => {
+	let server = createServer({ compression: true });
+	let events = server.events("/events");
+
+	let pending = server.inject({ url: "/events", headers: { "accept-encoding": "gzip, br" } });
+	await new Promise(resolve => setImmediate(resolve));
+
+	events.broadcast("hello");
+	events.close();
+
+	let response = await pending;
+	assert.strictEqual(response.status, 200);
+	assert.strictEqual(response.headers["content-encoding"], undefined);
+	assert.match(response.body, /data: hello\n\n/);
+});
+
+test("websockets receive messages and JSON events, and can reply", async () => {
+	let server = createServer();
+	let chat = server.websocket("/chat");
+	chat.on("ping", (client, data) => client.emit("pong", data * 2));
+	chat.listen.message((socket, data, client) => {
+		if (!String(data).startsWith("{")) client.send("echo: "+data);
+	});
+
+	let client = await server.injectWebsocket({ url: "/chat" });
+	client.send("hello");
+	assert.strictEqual(String(await client.nextMessage()), "echo: hello");
+
+	client.emit("ping", 21);
+	assert.deepStrictEqual(JSON.parse(await client.nextMessage()), { event: "pong", data: 42 });
+
+	client.close();
+	await client.closed;
+	assert.strictEqual(chat.clients.size, 0);
+});
+
+test("websocket connections are checked like requests", async () => {
+	let server = createServer();
+	server.websocket("/chat");
+	server.access.deny("10.0.0.0/8");
+
+	await assert.rejects(server.injectWebsocket({ url: "/nowhere" }), { status: 404 });
+	await assert.rejects(server.injectWebsocket({ url: "/chat", remoteAddress: "10.1.2.3" }), { status: 403 });
+});